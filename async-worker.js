@@ -45,6 +45,71 @@ export class AsyncWorker {
 
     return promise;
   }
+
+  /**
+   * Like `run`, for requests that the worker answers more than once,
+   * marking every response but the last as `partial`.
+   *
+   * @template {keyof Map} E
+   * @param {E} type
+   * @param {Map[E]["request"]} [data]
+   *
+   * @returns {AsyncGenerator<Map[E]["response"], void, undefined>}
+   */
+  async *stream(type, data) {
+    const id = crypto.randomUUID();
+    const worker = this.#worker;
+
+    /** @type {Responses<Map>[]} */
+    const responses = [];
+
+    /** @type {(() => void) | undefined} */
+    let wake;
+
+    /** @param {MessageEvent<Responses<Map>>} event */
+    function handler({ data }) {
+      if (data.type === type && data.id === id) {
+        responses.push(data);
+        wake?.();
+      }
+    }
+
+    worker.addEventListener("message", handler);
+
+    try {
+      worker.postMessage({
+        type,
+        id,
+        data,
+      });
+
+      while (true) {
+        if (!responses.length) {
+          await new Promise(function (resolve) {
+            wake = () => resolve(undefined);
+          });
+        }
+
+        const response = responses.shift();
+
+        if (!response) {
+          continue;
+        }
+
+        if (!response.success) {
+          throw response.error;
+        }
+
+        yield response.data;
+
+        if (!response.partial) {
+          return;
+        }
+      }
+    } finally {
+      worker.removeEventListener("message", handler);
+    }
+  }
 }
 
 /**
@@ -83,6 +148,7 @@ export class AsyncWorker {
  * @typedef {{
  *   type: Type;
  *   id: string;
+ *   partial?: boolean;
  * } & Status<Data>} Response
  */
 
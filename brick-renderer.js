@@ -1,7 +1,11 @@
+/** @import { PrimitiveQuality, SubstitutionPolicy } from "./file-loader.js" */
+/** @import { Lighting } from "./renderer.js" */
 import { CanvasRenderer } from "./canvas-renderer.js";
+import { FileLoader } from "./file-loader.js";
 import { Color } from "./ldraw.js";
 import { Model } from "./model.js";
 import { orbitControls } from "./orbit.js";
+import { DEFAULT_LIGHTING } from "./renderer.js";
 import { Transformation } from "./transformation.js";
 
 const styleSheet = new CSSStyleSheet();
@@ -124,10 +128,38 @@ export class BrickRenderer extends HTMLElement {
 
   static #SIZE_ATTRIBUTE = "size";
 
+  static #STEP_ATTRIBUTE = "step";
+
+  static #LIGHTING_ATTRIBUTE = "lighting";
+
+  static #KEY_LIGHT_ATTRIBUTE = "key-light";
+
+  static #FILL_LIGHT_ATTRIBUTE = "fill-light";
+
+  static #AMBIENT_LIGHT_ATTRIBUTE = "ambient-light";
+
+  static #SPECULAR_ATTRIBUTE = "specular";
+
+  static #LIGHTING_ATTRIBUTES = [
+    BrickRenderer.#LIGHTING_ATTRIBUTE,
+    BrickRenderer.#KEY_LIGHT_ATTRIBUTE,
+    BrickRenderer.#FILL_LIGHT_ATTRIBUTE,
+    BrickRenderer.#AMBIENT_LIGHT_ATTRIBUTE,
+    BrickRenderer.#SPECULAR_ATTRIBUTE,
+  ];
+
+  static #PRIMITIVE_QUALITY_ATTRIBUTE = "primitive-quality";
+
+  static #LOGO_STUDS_ATTRIBUTE = "logo-studs";
+
   static observedAttributes = [
     BrickRenderer.#FILE_ATTRIBUTE,
     BrickRenderer.#COLOR_ATTRIBUTE,
     BrickRenderer.#SIZE_ATTRIBUTE,
+    BrickRenderer.#STEP_ATTRIBUTE,
+    ...BrickRenderer.#LIGHTING_ATTRIBUTES,
+    BrickRenderer.#PRIMITIVE_QUALITY_ATTRIBUTE,
+    BrickRenderer.#LOGO_STUDS_ATTRIBUTE,
   ];
 
   static #INITIAL_COLOR = "#e04d4d";
@@ -138,6 +170,29 @@ export class BrickRenderer extends HTMLElement {
   /** @type {Model | undefined} */
   stud;
 
+  /**
+   * The last build step to show, or every step when undefined.
+   *
+   * @type {number | undefined}
+   */
+  step;
+
+  /**
+   * `lighting="flat"` draws unlit colors. The light attributes
+   * set the intensity of the key and fill lights, ambient light
+   * and highlights.
+   *
+   * @type {Lighting}
+   */
+  lighting = DEFAULT_LIGHTING;
+
+  /**
+   * The file being loaded, while it streams in
+   *
+   * @type {{ fileName: string } | undefined}
+   */
+  #loading;
+
   constructor() {
     super();
 
@@ -172,10 +227,20 @@ export class BrickRenderer extends HTMLElement {
     shadow.append(this.root);
 
     this.file = this.getAttribute(BrickRenderer.#FILE_ATTRIBUTE);
+
+    this.step = BrickRenderer.#parseStep(
+      this.getAttribute(BrickRenderer.#STEP_ATTRIBUTE)
+    );
+
+    this.#updateLighting();
   }
 
   async connectedCallback() {
-    this.stud ??= await Model.for("stud.dat", Color.custom(this.color));
+    this.stud ??= await Model.for(
+      "stud.dat",
+      Color.custom(this.color),
+      this.#policy()
+    );
 
     if (!this.file) {
       return;
@@ -211,6 +276,20 @@ export class BrickRenderer extends HTMLElement {
         this.resize(Number(newValue));
         break;
       }
+      case BrickRenderer.#STEP_ATTRIBUTE: {
+        this.step = BrickRenderer.#parseStep(newValue);
+        break;
+      }
+      case BrickRenderer.#PRIMITIVE_QUALITY_ATTRIBUTE:
+      case BrickRenderer.#LOGO_STUDS_ATTRIBUTE: {
+        await this.#reload();
+        break;
+      }
+      default: {
+        if (BrickRenderer.#LIGHTING_ATTRIBUTES.includes(name)) {
+          this.#updateLighting();
+        }
+      }
     }
 
     this.update();
@@ -238,7 +317,90 @@ export class BrickRenderer extends HTMLElement {
       return;
     }
 
-    this.renderer.render(this.model, this.transformation, this.stud);
+    this.renderer.render(
+      this.model,
+      this.transformation,
+      this.stud,
+      this.step,
+      this.lighting
+    );
+  }
+
+  #updateLighting() {
+    /** @type {(name: string, fallback: number) => number} */
+    const intensity = (name, fallback) => {
+      const value = Number.parseFloat(this.getAttribute(name) ?? "");
+      return Number.isNaN(value) ? fallback : value;
+    };
+
+    this.lighting = {
+      ...DEFAULT_LIGHTING,
+      mode:
+        this.getAttribute(BrickRenderer.#LIGHTING_ATTRIBUTE) === "flat"
+          ? "flat"
+          : "lit",
+      key: {
+        ...DEFAULT_LIGHTING.key,
+        intensity: intensity(
+          BrickRenderer.#KEY_LIGHT_ATTRIBUTE,
+          DEFAULT_LIGHTING.key.intensity
+        ),
+      },
+      fill: {
+        ...DEFAULT_LIGHTING.fill,
+        intensity: intensity(
+          BrickRenderer.#FILL_LIGHT_ATTRIBUTE,
+          DEFAULT_LIGHTING.fill.intensity
+        ),
+      },
+      ambient: intensity(
+        BrickRenderer.#AMBIENT_LIGHT_ATTRIBUTE,
+        DEFAULT_LIGHTING.ambient
+      ),
+      specular: intensity(
+        BrickRenderer.#SPECULAR_ATTRIBUTE,
+        DEFAULT_LIGHTING.specular
+      ),
+    };
+  }
+
+  /**
+   * The number of build steps in the loaded model.
+   */
+  get stepCount() {
+    return this.model?.geometry.steps.length ?? 0;
+  }
+
+  nextStep() {
+    this.#goToStep((this.step ?? this.stepCount) + 1);
+  }
+
+  previousStep() {
+    this.#goToStep((this.step ?? this.stepCount) - 1);
+  }
+
+  /**
+   * Show the build up to a step without reloading the model.
+   *
+   * @param {number} step
+   */
+  #goToStep(step) {
+    if (!this.stepCount) {
+      return;
+    }
+
+    this.step = Math.min(Math.max(step, 1), this.stepCount);
+    // Updating the attribute re-renders the element
+    this.setAttribute(BrickRenderer.#STEP_ATTRIBUTE, this.step.toString());
+  }
+
+  /**
+   * @param {string | null} value
+   */
+  static #parseStep(value) {
+    const step = Number.parseInt(value ?? "", 10);
+
+    return Number.isNaN(step) ? undefined : step;
   }
 
   reset() {
@@ -247,14 +409,100 @@ export class BrickRenderer extends HTMLElement {
   }
 
   /**
-   * @param {string} fileName
+   * Show a model while it loads, with boxes in place of the parts
+   * that haven't loaded yet. A `progress` event is fired each time more
+   * of it is shown, with how many of the files it needs have loaded.
+   *
+   * @param {string} file A file in the library, or a URL relative
+   *   to the page if it has a path, like `./car.ldr`
    */
-  async load(fileName) {
-    if (this.model?.fileName === fileName) {
+  async load(file) {
+    const fileName = modelLocation(file);
+
+    if (
+      this.model?.fileName === fileName ||
+      this.#loading?.fileName === fileName
+    ) {
       return;
     }
 
-    this.model = await Model.for(fileName, Color.custom(this.color));
+    const loading = { fileName };
+    this.#loading = loading;
+
+    try {
+      for await (const { model, loaded, total } of Model.stream(
+        fileName,
+        Color.custom(this.color),
+        this.#policy()
+      )) {
+        // Another file was loaded while this one was streaming in
+        if (this.#loading !== loading) {
+          return;
+        }
+
+        this.model = model;
+        this.update();
+
+        this.dispatchEvent(
+          new ProgressEvent("progress", {
+            lengthComputable: true,
+            loaded,
+            total,
+          })
+        );
+      }
+    } finally {
+      if (this.#loading === loading) {
+        this.#loading = undefined;
+      }
+    }
+  }
+
+  /**
+   * Load the model and stud again, with the primitives
+   * the attributes now ask for
+   */
+  async #reload() {
+    const fileName =
+      this.#loading?.fileName ??
+      this.model?.fileName ??
+      this.getAttribute(BrickRenderer.#FILE_ATTRIBUTE);
+
+    this.#loading = undefined;
+    this.model = undefined;
+
+    this.stud = await Model.for(
+      "stud.dat",
+      Color.custom(this.color),
+      this.#policy()
+    );
+
+    if (fileName) {
+      await this.load(fileName);
+    }
+  }
+
+  /**
+   * `primitive-quality` is "low", "normal" or "high", and `logo-studs`
+   * is a boolean attribute. Without either, the loader's own policy is used.
+   *
+   * @returns {SubstitutionPolicy | undefined}
+   */
+  #policy() {
+    const quality = this.getAttribute(
+      BrickRenderer.#PRIMITIVE_QUALITY_ATTRIBUTE
+    );
+    const logoStuds = this.hasAttribute(BrickRenderer.#LOGO_STUDS_ATTRIBUTE);
+
+    if (quality === null && !logoStuds) {
+      return undefined;
+    }
+
+    /** @type {PrimitiveQuality} */
+    const primitiveQuality =
+      quality === "low" || quality === "high" ? quality : "normal";
+
+    return { primitiveQuality, logoStuds };
   }
 
   #createForm() {
@@ -325,3 +573,15 @@ export class BrickRenderer extends HTMLElement {
     return svg;
   }
 }
+
+/**
+ * Files with a path are URLs relative to the page,
+ * and the rest are in the library.
+ *
+ * @param {string} file
+ */
+function modelLocation(file) {
+  return file.includes("/") || FileLoader.isUrl(file)
+    ? new URL(file, document.baseURI).href
+    : file;
+}
@@ -1,3 +1,4 @@
+/** @import { Lighting } from "./renderer.js" */
 import { GpuRenderer } from "./renderer.js";
 import { Model } from "./model.js";
 import { Transformation } from "./transformation.js";
@@ -51,13 +52,18 @@ export class CanvasRenderer {
    * @param {Model} model
    * @param {Transformation} transformation
    * @param {Model} stud
+   * @param {number} [step]
+   * @param {Lighting} [lighting]
    */
-  render(model, transformation, stud) {
+  render(model, transformation, stud, step, lighting) {
     this.#renderFn.render(
       model.color,
       model.matrix(transformation),
       model.geometry,
-      stud.geometry
+      stud.geometry,
+      step,
+      lighting,
+      model.policy
     );
   }
 }
@@ -1,4 +1,11 @@
-import { File, MultiPartDocument } from "./ldraw.js";
+/** @import { ParsedDocument, ParsedFile, ParseOptions } from "./ldraw.js" */
+import {
+  CircularReferenceError,
+  File,
+  MultiPartDocument,
+  normalizeFileName,
+} from "./ldraw.js";
+import { LibraryResolver } from "./library-resolver.js";
 
 /**
  * @typedef {{
@@ -7,6 +14,49 @@ import { File, MultiPartDocument } from "./ldraw.js";
  * }} FileContentsCache
  */
 
+/**
+ * A file to load, from a URL if it has one, and the name it's known by
+ *
+ * @typedef {{ name: string; url?: string | undefined }} FileReference
+ */
+
+/**
+ * How many of the files a load is waiting for have loaded
+ *
+ * @typedef {{ loaded: number; total: number }} LoadProgress
+ */
+
+/**
+ * @typedef {{
+ *   track(fileName: string, request: Promise<File>): void;
+ * }} ProgressTracker
+ */
+
+/**
+ * Which versions of primitives to load, like LDView's preferences.
+ * Low and high quality use the 8 and 48 segment circular primitives
+ * in `8\` and `48\`, and logo studs replace plain studs.
+ * Files without the version asked for are loaded as usual.
+ *
+ * @typedef {{
+ *   primitiveQuality?: PrimitiveQuality;
+ *   logoStuds?: boolean;
+ * }} SubstitutionPolicy
+ *
+ * @typedef {"low" | "normal" | "high"} PrimitiveQuality
+ */
+
+/**
+ * Logo versions of studs, the most detailed first,
+ * as older libraries only have the first logo
+ *
+ * @type {ReadonlyMap<string, string[]>}
+ */
+const LOGO_STUDS = new Map([
+  ["stud.dat", ["stud-logo4.dat", "stud-logo.dat"]],
+  ["stud2.dat", ["stud2-logo4.dat", "stud2-logo.dat"]],
+]);
+
 export class FileLoader {
   #getPaths;
 
@@ -21,126 +71,409 @@ export class FileLoader {
   /** @type {Map<string, Promise<string | undefined>>} */
   #requestCache = new Map();
 
+  #accessTexture;
+
+  /** @type {Map<string, Promise<Blob | undefined>>} */
+  #textureRequestCache = new Map();
+
+  #parseOptions;
+
+  #substitutions;
+
+  #resolver;
+
+  /**
+   * The subfiles each file being loaded is waiting for
+   *
+   * @type {Map<string, Set<string>>}
+   */
+  #waitingFor = new Map();
+
+  /**
+   * Files that are parsed, and waiting for their subfiles,
+   * with the URL they're from if they aren't in the library
+   *
+   * @type {Map<
+   *   string,
+   *   ({ parsed: ParsedFile } | { document: ParsedDocument }) & {
+   *     url: string | undefined;
+   *   }
+   * >}
+   */
+  #parsedFiles = new Map();
+
   /**
    * @param {(fileName: string, paths: string[]) => Promise<string | undefined>} accessFile
    * @param {FileContentsCache} [fileContentsCache]
+   * @param {(fileName: string, paths: string[]) => Promise<Blob | undefined>} [accessTexture]
+   * @param {ParseOptions} [parseOptions]
+   * @param {SubstitutionPolicy} [substitutions]
+   * @param {LibraryResolver} [resolver] The libraries to load files from
    */
-  constructor(accessFile, fileContentsCache) {
+  constructor(
+    accessFile,
+    fileContentsCache,
+    accessTexture,
+    parseOptions = {},
+    substitutions = {},
+    resolver = new LibraryResolver()
+  ) {
     this.#getPaths = accessFile;
     this.#fileContentsCache = fileContentsCache;
+    this.#accessTexture = accessTexture;
+    this.#parseOptions = parseOptions;
+    this.#substitutions = substitutions;
+    this.#resolver = resolver;
   }
 
   /**
-   * @param {string} fileName
+   * Files are loaded and named by their normalized names,
+   * however they're spelled. A URL is loaded from there, or from the library
+   * if it isn't there, and the files a file from a URL references are
+   * looked for next to it first, like LDView and LDCad do.
+   *
+   * @param {string} fileName A file in the library, or a URL
+   * @param {(progress: LoadProgress) => void} [onProgress] Called as each
+   *   file the load waits for is requested and loaded
+   *
+   * @returns {Promise<File>}
+   */
+  load(fileName, onProgress) {
+    return this.#load(
+      FileLoader.#reference(fileName),
+      onProgress && progressTracker(onProgress)
+    );
+  }
+
+  /**
+   * @param {FileReference} reference
+   * @param {ProgressTracker} [progress]
    *
    * @returns {Promise<File>}
    */
-  async load(fileName) {
-    const cachedFile = this.#fileCache.get(fileName);
+  async #load(reference, progress) {
+    const key = FileLoader.#key(reference);
+    const cachedFile = this.#fileCache.get(key);
 
     if (cachedFile) {
       return cachedFile;
     }
 
-    const cachedRequest = this.#fileRequestCache.get(fileName);
+    const cachedRequest = this.#fileRequestCache.get(key);
 
     if (cachedRequest) {
+      progress?.track(reference.name, cachedRequest);
+
       return cachedRequest;
     }
 
-    const filePromise = this.#loadFile(fileName);
+    const filePromise = this.#loadFile(reference, progress);
 
-    this.#fileRequestCache.set(fileName, filePromise);
+    this.#fileRequestCache.set(key, filePromise);
+    progress?.track(reference.name, filePromise);
 
     try {
       const file = await filePromise;
 
-      this.#fileCache.set(fileName, file);
+      this.#fileCache.set(key, file);
 
       return file;
     } catch (e) {
-      this.#fileRequestCache.delete(fileName);
+      this.#fileRequestCache.delete(key);
 
       throw e;
     }
   }
 
   /**
+   * What's loaded so far of a file that's still loading. Parts are left out
+   * until they're complete, for rendering with placeholders, so they never
+   * change, and submodels are as loaded as their own subfiles.
+   *
+   * @param {string} fileName A file in the library, or a URL
+   *
+   * @returns {File | undefined} The file if it's loaded, and undefined
+   *   if it isn't parsed yet
+   */
+  partial(fileName) {
+    return this.#partial(FileLoader.#reference(fileName), new Set());
+  }
+
+  /**
+   * @param {FileReference} reference
+   * @param {Set<string>} visited
+   *
+   * @returns {File | undefined}
+   */
+  #partial(reference, visited) {
+    const key = FileLoader.#key(reference);
+    const cachedFile = this.#fileCache.get(key);
+
+    if (cachedFile) {
+      return cachedFile;
+    }
+
+    const parsedFile = this.#parsedFiles.get(key);
+
+    if (!parsedFile && reference.url) {
+      // It might not be next to the file that references it
+      return this.#partial({ name: reference.name }, visited);
+    }
+
+    if (!parsedFile || visited.has(key)) {
+      return undefined;
+    }
+
+    visited.add(key);
+
+    const parsed =
+      "parsed" in parsedFile ? parsedFile.parsed : parsedFile.document;
+
+    /** @type {File[]} */
+    const subFiles = [];
+
+    for (const subFileReference of FileLoader.#subFileReferences(
+      parsed,
+      parsedFile.url
+    )) {
+      const subFile = this.#partial(subFileReference, visited);
+
+      if (
+        subFile &&
+        (this.#fileCache.has(FileLoader.#key(subFileReference)) ||
+          !subFile.isPart())
+      ) {
+        subFiles.push(subFile);
+      }
+    }
+
+    return "parsed" in parsedFile
+      ? File.from(reference.name, parsedFile.parsed, subFiles)
+      : MultiPartDocument.from(reference.name, parsedFile.document, subFiles);
+  }
+
+  /**
+   * Load a !TEXMAP image, from the resources embedded in a document
+   * if it has it, or from the library.
+   *
    * @param {string} fileName
+   * @param {Map<string, Uint8Array<ArrayBuffer>>} [resources]
+   *
+   * @returns {Promise<Blob | undefined>}
+   */
+  loadTexture(fileName, resources) {
+    const embedded = resources?.get(fileName);
+
+    if (embedded) {
+      return Promise.resolve(new Blob([embedded]));
+    }
+
+    const cachedRequest = this.#textureRequestCache.get(fileName);
+
+    if (cachedRequest) {
+      return cachedRequest;
+    }
+
+    const request = Promise.resolve(
+      this.#accessTexture?.(fileName, this.#resolver.texturePaths(fileName))
+    ).catch(() => undefined);
+
+    this.#textureRequestCache.set(fileName, request);
+
+    return request;
+  }
+
+  /**
+   * @param {FileReference} reference
+   * @param {ProgressTracker} [progress]
    *
    * @returns {Promise<File>}
    */
-  async #loadFile(fileName) {
-    const contents = await this.#loadFileContents(
-      fileName,
-      FileLoader.paths(fileName)
-    );
+  async #loadFile(reference, progress) {
+    const { name, url } = reference;
+
+    if (url) {
+      const contents = await this.#loadUrlContents(name, url);
+
+      return contents == null
+        ? this.#load({ name }, progress)
+        : this.#parseFile(reference, contents, progress);
+    }
+
+    // Substitutes keep the name of the file they replace,
+    // so the files that reference it find them
+    const contents =
+      (await this.#loadSubstitute(name)) ??
+      (await this.#loadFileContents(name));
 
     if (!contents) {
-      throw new Error(`Could not find file ${fileName}`);
+      throw new Error(`Could not find file ${name}`);
     }
 
-    return fileName.includes(".mpd")
-      ? this.#loadMpdFile(fileName, contents)
-      : this.#loadNormalFile(fileName, contents);
+    return this.#parseFile(reference, contents, progress);
+  }
+
+  /**
+   * @param {FileReference} reference
+   * @param {string} contents
+   * @param {ProgressTracker} [progress]
+   *
+   * @returns {Promise<File>}
+   */
+  #parseFile(reference, contents, progress) {
+    return reference.name.includes(".mpd")
+      ? this.#loadMpdFile(reference, contents, progress)
+      : this.#loadNormalFile(reference, contents, progress);
   }
 
   /**
    * @param {string} fileName
+   *
+   * @returns {Promise<string | undefined>} The contents of the first
+   *   substitute for the file that the library has
+   */
+  async #loadSubstitute(fileName) {
+    for (const substitute of FileLoader.substitutes(
+      fileName,
+      this.#substitutions
+    )) {
+      const contents = await this.#loadFileContents(substitute).catch(
+        () => undefined
+      );
+
+      if (contents) {
+        return contents;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * @param {FileReference} reference
    * @param {string} contents
+   * @param {ProgressTracker} [progress]
    *
    * @returns {Promise<File>}
    */
-  async #loadNormalFile(fileName, contents) {
-    const parsed = File.parse(fileName, contents);
+  async #loadNormalFile(reference, contents, progress) {
+    const key = FileLoader.#key(reference);
+    const parsed = File.parse(reference.name, contents, this.#parseOptions);
 
-    const subFiles = await this.#fetchAndLoadSubfiles(parsed.subFilesToLoad);
+    this.#parsedFiles.set(key, { parsed, url: reference.url });
 
-    return File.from(fileName, parsed, subFiles);
+    try {
+      const subFiles = await this.#fetchAndLoadSubfiles(
+        key,
+        FileLoader.#subFileReferences(parsed, reference.url),
+        progress
+      );
+
+      return File.from(reference.name, parsed, subFiles);
+    } finally {
+      this.#parsedFiles.delete(key);
+    }
   }
 
   /**
-   * @param {string} fileName
+   * @param {FileReference} reference
    * @param {string} contents
+   * @param {ProgressTracker} [progress]
    *
    * @returns {Promise<File>}
    */
-  async #loadMpdFile(fileName, contents) {
-    const parsed = MultiPartDocument.parse(fileName, contents);
+  async #loadMpdFile(reference, contents, progress) {
+    const key = FileLoader.#key(reference);
+    const document = MultiPartDocument.parse(
+      reference.name,
+      contents,
+      this.#parseOptions
+    );
 
-    const subFiles = await this.#fetchAndLoadSubfiles(parsed.subFilesToLoad);
+    this.#parsedFiles.set(key, { document, url: reference.url });
 
-    return MultiPartDocument.from(fileName, parsed, subFiles);
+    try {
+      const subFiles = await this.#fetchAndLoadSubfiles(
+        key,
+        FileLoader.#subFileReferences(document, reference.url),
+        progress
+      );
+
+      return MultiPartDocument.from(reference.name, document, subFiles);
+    } finally {
+      this.#parsedFiles.delete(key);
+    }
   }
 
   /**
-   * @param {Iterable<string>} names
+   * @param {string} key The file the subfiles are referenced by
+   * @param {FileReference[]} references
+   * @param {ProgressTracker} [progress]
    */
-  async #fetchAndLoadSubfiles(names) {
-    const promises = [];
-    for (const subFile of names) {
-      let request = this.#fileRequestCache.get(subFile);
+  async #fetchAndLoadSubfiles(key, references, progress) {
+    const keys = references.map(FileLoader.#key);
+
+    // Waiting on a file that is itself waiting on this one would never finish
+    for (const subFile of keys) {
+      const chain = this.#findWaitingChain(subFile, key);
+
+      if (chain) {
+        throw new CircularReferenceError([key, ...chain]);
+      }
+    }
 
-      if (!request) {
-        request = this.load(subFile);
-        this.#fileRequestCache.set(subFile, request);
+    this.#waitingFor.set(key, new Set(keys));
+
+    try {
+      const promises = [];
+      for (const subFile of references) {
+        promises.push(this.#load(subFile, progress));
       }
 
-      promises.push(request);
+      const subFiles = await Promise.all(promises);
+
+      return subFiles;
+    } finally {
+      this.#waitingFor.delete(key);
     }
+  }
 
-    const subFiles = await Promise.all(promises);
+  /**
+   * @param {string} from
+   * @param {string} to
+   * @param {Set<string>} [visited]
+   *
+   * @returns {string[] | undefined} The files from one to the other, each
+   * waiting on the next, if there are any
+   */
+  #findWaitingChain(from, to, visited = new Set()) {
+    if (from === to) {
+      return [from];
+    }
+
+    if (visited.has(from)) {
+      return undefined;
+    }
 
-    return subFiles;
+    visited.add(from);
+
+    for (const next of this.#waitingFor.get(from) ?? []) {
+      const chain = this.#findWaitingChain(next, to, visited);
+
+      if (chain) {
+        return [from, ...chain];
+      }
+    }
+
+    return undefined;
   }
 
   /**
    * @param {string} fileName
-   * @param {string[]} [paths]
    *
    * @returns {Promise<string | undefined>}
    */
-  async #loadFileContents(fileName, paths) {
+  async #loadFileContents(fileName) {
     const cachedRequest = this.#requestCache.get(fileName);
 
     if (cachedRequest) {
@@ -153,7 +486,7 @@ export class FileLoader {
       return cachedContents;
     }
 
-    const request = this.#fetch(fileName, paths);
+    const request = this.#fetch(fileName);
 
     this.#requestCache.set(fileName, request);
 
@@ -172,30 +505,200 @@ export class FileLoader {
 
   /**
    * @param {string} fileName
-   * @param {string[]} [directories]
+   *
+   * @returns {Promise<string | undefined>}
    */
-  async #fetch(fileName, directories = ["ldraw"]) {
-    const request = this.#getPaths(
-      fileName,
-      directories.map((d) => `${d}/${fileName.replaceAll("\\", "/")}`)
-    );
+  async #fetch(fileName) {
+    const paths = this.#resolver.paths(fileName);
+
+    /** @type {unknown} */
+    let error;
+
+    const contents = await this.#getPaths(fileName, paths).catch((e) => {
+      error = e;
+      return undefined;
+    });
+
+    if (contents != null) {
+      return contents;
+    }
+
+    // Hosts with case sensitive paths might have it spelled differently
+    const indexedPaths = (
+      await this.#resolver.indexedPaths(fileName, (index, indexPaths) =>
+        this.#getPaths(index, indexPaths).catch(() => undefined)
+      )
+    ).filter((path) => !paths.includes(path));
+
+    if (indexedPaths.length) {
+      return this.#getPaths(fileName, indexedPaths);
+    }
+
+    if (error) {
+      throw error;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Files next to a model aren't cached like the library's,
+   * as they're likely to change.
+   *
+   * @param {string} fileName
+   * @param {string} url
+   *
+   * @returns {Promise<string | undefined>}
+   */
+  #loadUrlContents(fileName, url) {
+    let request = this.#requestCache.get(url);
+
+    if (!request) {
+      request = Promise.resolve(this.#getPaths(fileName, [url])).catch(
+        () => undefined
+      );
+
+      this.#requestCache.set(url, request);
+    }
+
     return request;
   }
 
+  /**
+   * Whether a file name is a URL, rather than a file in the library
+   *
+   * @param {string} fileName
+   */
+  static isUrl(fileName) {
+    // Schemes are longer than drive letters
+    return /^[a-z][a-z\d+.-]+:/i.test(fileName);
+  }
+
   /**
    * @param {string} fileName
+   *
+   * @returns {FileReference}
    */
-  static paths(fileName) {
-    if (fileName.startsWith("s\\")) {
-      return ["ldraw/parts"];
-    } else if (fileName.startsWith("8\\") || fileName.startsWith("48\\")) {
-      return ["ldraw/p"];
-    } else if (/[.]ldr$/.test(fileName) || /[.]mpd$/.test(fileName)) {
-      return ["ldraw/models"];
-    } else if (/^\d\d\d/.test(fileName)) {
-      return ["ldraw/parts"];
-    } else {
-      return ["ldraw/p", "ldraw/parts", "ldraw/models"];
+  static #reference(fileName) {
+    if (!FileLoader.isUrl(fileName)) {
+      return { name: normalizeFileName(fileName) };
     }
+
+    const { pathname } = new URL(fileName);
+
+    return {
+      name: normalizeFileName(
+        decodeURIComponent(pathname.slice(pathname.lastIndexOf("/") + 1))
+      ),
+      url: fileName,
+    };
+  }
+
+  /**
+   * @param {FileReference} reference
+   */
+  static #key({ name, url }) {
+    return url ?? name;
   }
+
+  /**
+   * The files a file references, next to it if it's from a URL.
+   * Their URLs are spelled like the references, for hosts with
+   * case sensitive paths.
+   *
+   * @param {ParsedFile | ParsedDocument} parsed
+   * @param {string | undefined} url
+   *
+   * @returns {FileReference[]}
+   */
+  static #subFileReferences(parsed, url) {
+    const names = [...parsed.subFilesToLoad];
+
+    if (!url) {
+      return names.map((name) => ({ name }));
+    }
+
+    const spellings = new Map(
+      ("files" in parsed ? [...parsed.files.values()] : [parsed])
+        .flatMap((file) => file.fileGeometry.files)
+        .map(({ fileName }) => [normalizeFileName(fileName), fileName])
+    );
+
+    return names.map((name) => ({
+      name,
+      url: new URL(
+        (spellings.get(name) ?? name).trim().replaceAll("\\", "/"),
+        url
+      ).href,
+    }));
+  }
+
+  /**
+   * The files to try loading in place of a file, best first
+   *
+   * @param {string} fileName
+   * @param {SubstitutionPolicy} [policy]
+   *
+   * @returns {string[]}
+   */
+  static substitutes(
+    fileName,
+    { primitiveQuality = "normal", logoStuds = false } = {}
+  ) {
+    const name = fileName.toLowerCase();
+    const logoStud = LOGO_STUDS.get(name);
+
+    if (logoStuds && logoStud) {
+      return logoStud;
+    } else if (primitiveQuality !== "normal" && /^\d+-\d+/.test(name)) {
+      // Circular primitives are named for the fraction of a circle they cover
+      return [`${primitiveQuality === "high" ? "48" : "8"}\\${fileName}`];
+    }
+
+    return [];
+  }
+
+  /**
+   * A key that's the same for policies that load the same files
+   *
+   * @param {SubstitutionPolicy} [policy]
+   */
+  static substitutionKey({
+    primitiveQuality = "normal",
+    logoStuds = false,
+  } = {}) {
+    return `${primitiveQuality}${logoStuds ? " logo studs" : ""}`;
+  }
+}
+
+/**
+ * Count each file once, however many files wait for it
+ *
+ * @param {(progress: LoadProgress) => void} onProgress
+ *
+ * @returns {ProgressTracker}
+ */
+function progressTracker(onProgress) {
+  /** @type {Set<string>} */
+  const requested = new Set();
+  let loaded = 0;
+
+  return {
+    track(fileName, request) {
+      if (requested.has(fileName)) {
+        return;
+      }
+
+      requested.add(fileName);
+      onProgress({ loaded, total: requested.size });
+
+      request.then(
+        () => {
+          loaded++;
+          onProgress({ loaded, total: requested.size });
+        },
+        () => {}
+      );
+    },
+  };
 }
@@ -1,6 +1,9 @@
+/** @import { SubstitutionPolicy } from "./file-loader.js" */
 import { describe, it, mock } from "node:test";
 import assert from "node:assert/strict";
 import { FileLoader } from "./file-loader.js";
+import { CircularReferenceError } from "./ldraw.js";
+import { LibraryResolver, OFFICIAL_LIBRARY } from "./library-resolver.js";
 
 describe("PartLoader", function () {
   describe("caching", function () {
@@ -66,4 +69,316 @@ describe("PartLoader", function () {
       assert.equal(paths.length, uniquePaths.size);
     });
   });
+
+  describe("circular references", function () {
+    /**
+     * @param {Record<string, string>} files
+     */
+    function loaderFor(files) {
+      return new FileLoader(async (fileName) => files[fileName]);
+    }
+
+    it(
+      "should reject a file that references itself",
+      { timeout: 1000 },
+      async function () {
+        const loader = loaderFor({
+          "self.ldr": "1 16 0 0 0 1 0 0 0 1 0 0 0 1 self.ldr",
+        });
+
+        await assert.rejects(loader.load("self.ldr"), {
+          name: "CircularReferenceError",
+          message: "Circular subfile reference: self.ldr -> self.ldr",
+        });
+      }
+    );
+
+    it(
+      "should reject a chain of files that loops",
+      { timeout: 1000 },
+      async function () {
+        const loader = loaderFor({
+          "a.ldr": "1 16 0 0 0 1 0 0 0 1 0 0 0 1 b.ldr",
+          "b.ldr": "1 16 0 0 0 1 0 0 0 1 0 0 0 1 c.ldr",
+          "c.ldr": "1 16 0 0 0 1 0 0 0 1 0 0 0 1 a.ldr",
+        });
+
+        await assert.rejects(loader.load("a.ldr"), (error) => {
+          assert.ok(error instanceof CircularReferenceError);
+          assert.deepEqual(error.chain, ["c.ldr", "a.ldr", "b.ldr", "c.ldr"]);
+          return true;
+        });
+      }
+    );
+
+    it("should still load files that are shared without a loop", async function () {
+      const loader = loaderFor({
+        "a.ldr": [
+          "1 16 0 0 0 1 0 0 0 1 0 0 0 1 b.ldr",
+          "1 16 0 0 0 1 0 0 0 1 0 0 0 1 c.ldr",
+        ].join("\n"),
+        "b.ldr": "1 16 0 0 0 1 0 0 0 1 0 0 0 1 c.ldr",
+        "c.ldr": "2 24 0 0 0 1 0 0",
+      });
+
+      const file = await loader.load("a.ldr");
+
+      assert.equal(file.render().lines.length, 16);
+    });
+  });
+
+  describe("progress", function () {
+    /** @type {Record<string, string>} */
+    const files = {
+      "model.ldr": [
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 a.dat",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 b.dat",
+      ].join("\n"),
+      "a.dat": "0 !LDRAW_ORG Part\n2 24 0 0 0 1 0 0",
+      "b.dat": "0 !LDRAW_ORG Part\n2 24 0 0 0 1 0 0",
+    };
+
+    it("should count the files a load waits for", async function () {
+      const loader = new FileLoader(async (fileName) => files[fileName]);
+
+      /** @type {{ loaded: number; total: number }[]} */
+      const updates = [];
+      await loader.load("model.ldr", (progress) => updates.push(progress));
+
+      assert.deepEqual(updates.at(0), { loaded: 0, total: 1 });
+      assert.deepEqual(updates.at(-1), { loaded: 3, total: 3 });
+    });
+
+    it("should leave out parts that are still loading", async function () {
+      /** @type {(contents: string) => void} */
+      let resolveB = () => {};
+
+      const loader = new FileLoader(async (fileName) =>
+        fileName === "b.dat"
+          ? new Promise((resolve) => (resolveB = resolve))
+          : files[fileName]
+      );
+
+      assert.equal(loader.partial("model.ldr"), undefined);
+
+      /** @type {Promise<void>} */
+      const aLoaded = new Promise((resolve) =>
+        loader.load("model.ldr", ({ loaded }) => loaded === 1 && resolve())
+      );
+      await aLoaded;
+
+      const partial = loader.partial("model.ldr");
+      assert.deepEqual([...(partial?.subFiles.keys() ?? [])], ["a.dat"]);
+
+      resolveB(files["b.dat"]);
+      const file = await loader.load("model.ldr");
+      assert.equal(loader.partial("model.ldr"), file);
+    });
+  });
+
+  describe("substitutions", function () {
+    /** @type {Record<string, string>} */
+    const files = {
+      "ldraw/p/4-4cyli.dat": "0 Cylinder\n2 24 0 0 0 1 0 0",
+      "ldraw/p/48/4-4cyli.dat": "0 Hi-Res Cylinder\n2 24 0 0 0 1 0 0",
+      "ldraw/p/stud.dat": "0 Stud\n2 24 0 0 0 1 0 0",
+      "ldraw/p/stud-logo.dat": "0 Stud with Logo\n2 24 0 0 0 1 0 0",
+    };
+
+    /**
+     * @param {SubstitutionPolicy} policy
+     */
+    function loaderFor(policy) {
+      return new FileLoader(
+        async (_fileName, paths) =>
+          paths.map((path) => files[path]).find((contents) => contents),
+        undefined,
+        undefined,
+        {},
+        policy
+      );
+    }
+
+    it("should pick the substitutes for a policy", function () {
+      assert.deepEqual(
+        FileLoader.substitutes("4-4cyli.dat", { primitiveQuality: "high" }),
+        ["48\\4-4cyli.dat"]
+      );
+      assert.deepEqual(
+        FileLoader.substitutes("1-4edge.dat", { primitiveQuality: "low" }),
+        ["8\\1-4edge.dat"]
+      );
+      assert.deepEqual(
+        FileLoader.substitutes("STUD.DAT", { logoStuds: true }),
+        ["stud-logo4.dat", "stud-logo.dat"]
+      );
+      assert.deepEqual(
+        FileLoader.substitutes("3001.dat", { logoStuds: true }),
+        []
+      );
+      assert.deepEqual(FileLoader.substitutes("4-4cyli.dat"), []);
+    });
+
+    it("should load substitutes under the name they replace", async function () {
+      const file = await loaderFor({ primitiveQuality: "high" }).load(
+        "4-4cyli.dat"
+      );
+
+      assert.equal(file.name, "4-4cyli.dat");
+      assert.equal(file.metadata.title, "Hi-Res Cylinder");
+    });
+
+    it("should fall back to substitutes the library has", async function () {
+      const stud = await loaderFor({ logoStuds: true }).load("stud.dat");
+      assert.equal(stud.metadata.title, "Stud with Logo");
+
+      const cylinder = await loaderFor({ primitiveQuality: "low" }).load(
+        "4-4cyli.dat"
+      );
+      assert.equal(cylinder.metadata.title, "Cylinder");
+    });
+  });
+
+  describe("libraries", function () {
+    it("should load files from the libraries that override others", async function () {
+      /** @type {Record<string, string>} */
+      const files = {
+        "ldraw/parts/3001.dat": "0 Brick  2 x  4\n2 24 0 0 0 1 0 0",
+        "ldraw/parts/3002.dat": "0 Brick  2 x  3\n2 24 0 0 0 1 0 0",
+        "custom/parts/3001.dat": "0 Custom Brick\n2 24 0 0 0 1 0 0",
+      };
+
+      const loader = new FileLoader(
+        async (_fileName, paths) =>
+          paths.map((path) => files[path]).find((contents) => contents),
+        undefined,
+        undefined,
+        {},
+        {},
+        new LibraryResolver([
+          OFFICIAL_LIBRARY,
+          { name: "custom", root: "custom", priority: 1 },
+        ])
+      );
+
+      const custom = await loader.load("3001.dat");
+      assert.equal(custom.metadata.title, "Custom Brick");
+
+      const official = await loader.load("3002.dat");
+      assert.equal(official.metadata.title, "Brick  2 x  3");
+    });
+  });
+
+  describe("file names", function () {
+    it("should load each spelling of a name once", async function () {
+      const accessFile = mock.fn(async () => "0 Brick  2 x  4");
+      const loader = new FileLoader(accessFile);
+
+      const [upper, lower] = await Promise.all([
+        loader.load("3001.DAT"),
+        loader.load("3001.dat"),
+      ]);
+
+      assert.equal(upper, lower);
+      assert.equal(upper.name, "3001.dat");
+      assert.equal(accessFile.mock.calls.length, 1);
+    });
+
+    it("should fall back to the spelling in a library's index", async function () {
+      /** @type {Record<string, string>} */
+      const files = {
+        "ldraw/index.txt": "parts/3001.dat\nmodels/Castle.ldr\n",
+        "ldraw/models/Castle.ldr": "0 Castle\n2 24 0 0 0 1 0 0",
+      };
+
+      const accessFile = mock.fn(
+        async (
+          /** @type {string} */ _fileName,
+          /** @type {string[]} */ paths
+        ) => paths.map((path) => files[path]).find((contents) => contents)
+      );
+
+      const loader = new FileLoader(
+        accessFile,
+        undefined,
+        undefined,
+        {},
+        {},
+        new LibraryResolver([{ ...OFFICIAL_LIBRARY, index: "index.txt" }])
+      );
+
+      const castle = await loader.load("castle.ldr");
+      assert.equal(castle.metadata.title, "Castle");
+
+      await assert.rejects(loader.load("missing.ldr"));
+
+      // The index is only read once
+      assert.equal(
+        accessFile.mock.calls.filter(
+          (call) => call.arguments[0] === "index.txt"
+        ).length,
+        1
+      );
+    });
+  });
+
+  describe("model-relative files", function () {
+    /** @type {Record<string, string>} */
+    const files = {
+      "https://example.com/models/car.ldr": [
+        "0 Car",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 Chassis.ldr",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 3001.dat",
+      ].join("\n"),
+      "https://example.com/models/Chassis.ldr": "0 Chassis\n2 24 0 0 0 1 0 0",
+      "ldraw/parts/3001.dat": "0 Brick  2 x  4\n2 24 0 0 0 1 0 0",
+      "ldraw/models/chassis.ldr": "0 Library Chassis\n2 24 0 0 0 1 0 0",
+    };
+
+    function loader() {
+      return new FileLoader(async (_fileName, paths) =>
+        paths.map((path) => files[path]).find((contents) => contents)
+      );
+    }
+
+    it("should look next to the model before the library", async function () {
+      const car = await loader().load("https://example.com/models/car.ldr");
+
+      assert.equal(car.name, "car.ldr");
+      assert.equal(car.subFiles.get("chassis.ldr")?.metadata.title, "Chassis");
+      assert.equal(
+        car.subFiles.get("3001.dat")?.metadata.title,
+        "Brick  2 x  4"
+      );
+    });
+
+    it("should load models from the library if they aren't at a URL", async function () {
+      const chassis = await loader().load("https://example.com/chassis.ldr");
+
+      assert.equal(chassis.metadata.title, "Library Chassis");
+    });
+
+    it("should only look in the library for library files", async function () {
+      const chassis = await loader().load("chassis.ldr");
+
+      assert.equal(chassis.metadata.title, "Library Chassis");
+    });
+  });
+
+  describe("textures", function () {
+    it("should use textures embedded in the document", async function () {
+      const accessTexture = mock.fn(async () => new Blob(["library"]));
+      const loader = new FileLoader(async () => "", undefined, accessTexture);
+
+      const embedded = new Uint8Array([1, 2, 3]);
+      const blob = await loader.loadTexture(
+        "sticker.png",
+        new Map([["sticker.png", embedded]])
+      );
+
+      assert.ok(blob);
+      assert.deepEqual(new Uint8Array(await blob.arrayBuffer()), embedded);
+      assert.equal(accessTexture.mock.calls.length, 0);
+    });
+  });
 });
@@ -0,0 +1,110 @@
+/** @import { PartGeometry } from "./ldraw.js" */
+/** @import { SubstitutionPolicy } from "./file-loader.js" */
+/** @import { LibraryResolver } from "./library-resolver.js" */
+import { FileLoader } from "./file-loader.js";
+import { normalizeFileName } from "./ldraw.js";
+
+/**
+ * @typedef {{
+ *   getGeometry(key: string): Promise<CachedGeometry | undefined>;
+ *   setGeometry(key: string, geometry: CachedGeometry): Promise<void>;
+ *   clearGeometry(): Promise<unknown>;
+ * }} GeometryCache
+ */
+
+/**
+ * The version of the geometry in the cache, to change with
+ * the layout of `PartGeometry` so older geometry isn't used
+ */
+const GEOMETRY_VERSION = 2;
+
+/**
+ * Files' geometry, kept from one page load to the next for the libraries'
+ * version and the policy it's loaded with. Models loaded from URLs
+ * and libraries without versions can change without their version
+ * changing, so their geometry isn't kept.
+ */
+export class GeometryStore {
+  #cache;
+
+  #resolver;
+
+  /**
+   * @param {GeometryCache} cache
+   * @param {LibraryResolver} resolver The libraries files are loaded from
+   */
+  constructor(cache, resolver) {
+    this.#cache = cache;
+    this.#resolver = resolver;
+  }
+
+  /**
+   * @param {string} fileName
+   * @param {SubstitutionPolicy} policy
+   *
+   * @returns {Promise<CachedGeometry | undefined>}
+   */
+  async get(fileName, policy) {
+    const key = this.#key(fileName, policy);
+
+    return key ? this.#cache.getGeometry(key) : undefined;
+  }
+
+  /**
+   * @param {string} fileName
+   * @param {SubstitutionPolicy} policy
+   * @param {CachedGeometry} geometry
+   */
+  async set(fileName, policy, geometry) {
+    const key = this.#key(fileName, policy);
+
+    if (key) {
+      await this.#cache.setGeometry(key, geometry);
+    }
+  }
+
+  /**
+   * Whether a file's geometry is kept
+   *
+   * @param {string} fileName
+   */
+  keeps(fileName) {
+    return !FileLoader.isUrl(fileName) && this.#resolver.versioned;
+  }
+
+  /**
+   * Forget all the geometry, like when the files it's made from change
+   */
+  async clear() {
+    await this.#cache.clearGeometry();
+  }
+
+  /**
+   * @param {string} fileName
+   * @param {SubstitutionPolicy} policy
+   *
+   * @returns {string | undefined} undefined for geometry that isn't kept
+   */
+  #key(fileName, policy) {
+    if (!this.keeps(fileName)) {
+      return undefined;
+    }
+
+    return JSON.stringify([
+      GEOMETRY_VERSION,
+      this.#resolver.version,
+      FileLoader.substitutionKey(policy),
+      normalizeFileName(fileName),
+    ]);
+  }
+}
+
+/**
+ * A file's geometry, before its textures are loaded,
+ * and the resources of the file they're loaded from
+ *
+ * @typedef {{
+ *   geometry: PartGeometry;
+ *   resources: Map<string, Uint8Array<ArrayBuffer>>;
+ * }} CachedGeometry
+ */
@@ -0,0 +1,102 @@
+/** @import { CachedGeometry } from "./geometry-store.js" */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { GeometryStore } from "./geometry-store.js";
+import { File } from "./ldraw.js";
+import { LibraryResolver } from "./library-resolver.js";
+
+describe("Geometry store", function () {
+  function cache() {
+    /** @type {Map<string, CachedGeometry>} */
+    const geometry = new Map();
+
+    return {
+      geometry,
+      /** @param {string} key */
+      async getGeometry(key) {
+        return geometry.get(key);
+      },
+      /**
+       * @param {string} key
+       * @param {CachedGeometry} cached
+       */
+      async setGeometry(key, cached) {
+        geometry.set(key, cached);
+      },
+      async clearGeometry() {
+        geometry.clear();
+      },
+    };
+  }
+
+  /**
+   * @param {string} version
+   */
+  function resolver(version) {
+    return new LibraryResolver([
+      { name: "official", root: "ldraw", metadata: { version } },
+    ]);
+  }
+
+  const cached = {
+    geometry: File.from("3001.dat", "2 24 0 0 0 1 0 0").geometry(),
+    resources: new Map(),
+  };
+
+  const policy = {};
+
+  it("should find the geometry it was given", async function () {
+    const store = new GeometryStore(cache(), resolver("2024-01"));
+
+    await store.set("3001.DAT", policy, cached);
+
+    assert.equal(await store.get("3001.dat", policy), cached);
+  });
+
+  it("should miss other files and policies", async function () {
+    const store = new GeometryStore(cache(), resolver("2024-01"));
+
+    await store.set("3001.dat", policy, cached);
+
+    assert.equal(await store.get("3002.dat", policy), undefined);
+    assert.equal(
+      await store.get("3001.dat", { primitiveQuality: "low" }),
+      undefined
+    );
+  });
+
+  it("should miss once it's cleared", async function () {
+    const store = new GeometryStore(cache(), resolver("2024-01"));
+
+    await store.set("3001.dat", policy, cached);
+    await store.clear();
+
+    assert.equal(await store.get("3001.dat", policy), undefined);
+  });
+
+  it("should miss geometry from another version of the library", async function () {
+    const geometry = cache();
+
+    await new GeometryStore(geometry, resolver("2024-01")).set(
+      "3001.dat",
+      policy,
+      cached
+    );
+
+    const store = new GeometryStore(geometry, resolver("2024-02"));
+    assert.equal(await store.get("3001.dat", policy), undefined);
+  });
+
+  it("should not keep geometry that can change without a version", async function () {
+    const geometry = cache();
+    const unversioned = new GeometryStore(geometry, new LibraryResolver());
+    const store = new GeometryStore(geometry, resolver("2024-01"));
+
+    await unversioned.set("3001.dat", policy, cached);
+    await store.set("https://example.com/model.ldr", policy, cached);
+
+    assert.equal(unversioned.keeps("3001.dat"), false);
+    assert.equal(store.keeps("https://example.com/model.ldr"), false);
+    assert.equal(geometry.geometry.size, 0);
+  });
+});
@@ -1,10 +1,20 @@
+/** @import { SubstitutionPolicy } from "./file-loader.js" */
+/** @import { Library } from "./library-resolver.js" */
 import { BrickRenderer } from "./brick-renderer.js";
 import { CanvasRenderer } from "./canvas-renderer.js";
 import { Model } from "./model.js";
 import { Loader } from "./part-loader-worker.js";
 import { GpuRenderer } from "./renderer.js";
 
-export async function initialize() {
+/**
+ * @param {SubstitutionPolicy} [policy] The primitives that elements load,
+ *   unless their attributes ask for others
+ * @param {Library[]} [libraries] The libraries to load files from,
+ *   like a company's own parts ahead of the official ones.
+ *   The official library in `ldraw` if undefined. Parts' geometry is only
+ *   cached between page loads if they all have a `version` in their metadata.
+ */
+export async function initialize(policy, libraries) {
   const worker = new Worker(new URL("part-worker.js", import.meta.url), {
     type: "module",
     name: "part-loader-worker",
@@ -12,7 +22,7 @@ export async function initialize() {
 
   const loader = new Loader(worker);
 
-  const colors = await loader.initialize();
+  const colors = await loader.initialize(policy, libraries);
 
   Model.loader = loader;
 
@@ -22,3 +32,18 @@ export async function initialize() {
 
   customElements.define("brick-renderer", BrickRenderer);
 }
+
+/**
+ * Apply an official library update, like lcad2401.zip from a file input,
+ * to the cached library. Models loaded after it use the updated parts.
+ *
+ * @param {Blob} archive
+ */
+export async function applyUpdate(archive) {
+  const update = await Model.loader.applyUpdate(archive);
+
+  // Parts are prepared for the GPU once for every model that uses them
+  CanvasRenderer.gpuRenderer.clearGeometry();
+
+  return update;
+}
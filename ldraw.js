@@ -4,15 +4,16 @@ import * as matrix from "./matrix.js";
 export class MultiPartDocument {
   /**
    * @param {string} mainFileName
-   * @param {string | {files: Map<string, ParsedFile>; subFilesToLoad: Set<string> }} contents
+   * @param {string | ParsedDocument} contents
    * @param {File[]} loadedFiles
+   * @param {ParseOptions} [options]
    *
    * @returns {File}
    */
-  static from(mainFileName, contents, loadedFiles = []) {
-    const { files } =
+  static from(mainFileName, contents, loadedFiles = [], options) {
+    const { files, resources } =
       typeof contents === "string"
-        ? MultiPartDocument.parse(mainFileName, contents)
+        ? MultiPartDocument.parse(mainFileName, contents, options)
         : contents;
 
     const mainFile = files.get(mainFileName);
@@ -21,23 +22,31 @@ export class MultiPartDocument {
       throw new Error(`File ${mainFileName} is not present in contents`);
     }
 
-    const allFiles = new Set(files.values().map((f) => f.fileName));
+    /** @type {Map<string, ParsedFile>} */
+    const allFiles = new Map(
+      [...files].map(([name, parsed]) => [normalizeFileName(name), parsed])
+    );
 
     /** @type {Map<string, string[]>} */
     const allReferences = new Map();
 
-    for (const parsed of files.values()) {
-      const interFileReferences = parsed.fileGeometry.files.filter((f) =>
-        allFiles.has(f.fileName)
-      );
-
+    for (const [name, parsed] of allFiles) {
       allReferences.set(
-        parsed.fileName,
-        interFileReferences.map((f) => f.fileName)
+        name,
+        parsed.fileGeometry.files
+          .map((f) => normalizeFileName(f.fileName))
+          .filter((fileName) => allFiles.has(fileName))
       );
     }
 
-    const startNodes = [mainFileName];
+    const mainName = normalizeFileName(mainFileName);
+    const cycle = MultiPartDocument.#findCycle(mainName, allReferences);
+
+    if (cycle) {
+      throw new CircularReferenceError(cycle);
+    }
+
+    const startNodes = [mainName];
     const out = [];
     let node;
 
@@ -60,75 +69,232 @@ export class MultiPartDocument {
     const subFiles = loadedFiles;
 
     for (const fileName of out.slice(1).reverse()) {
-      const parsedFile = files.get(fileName);
+      const parsedFile = allFiles.get(fileName);
 
       if (!parsedFile) {
         throw new Error("This should never happen");
       }
 
-      subFiles.push(File.from(fileName, parsedFile, subFiles));
+      subFiles.push(
+        File.from(
+          parsedFile.fileName,
+          parsedFile,
+          subFiles,
+          undefined,
+          resources
+        )
+      );
     }
 
-    return File.from(mainFileName, mainFile, subFiles);
+    return File.from(mainFileName, mainFile, subFiles, undefined, resources);
+  }
+
+  /**
+   * Look for a file that ends up referencing itself.
+   *
+   * @param {string} start
+   * @param {Map<string, string[]>} references
+   *
+   * @returns {string[] | undefined} The chain of references that loops
+   */
+  static #findCycle(start, references) {
+    /** @type {string[]} */
+    const path = [];
+
+    /** @type {Set<string>} */
+    const checked = new Set();
+
+    /**
+     * @param {string} fileName
+     *
+     * @returns {string[] | undefined}
+     */
+    const visit = (fileName) => {
+      const index = path.indexOf(fileName);
+
+      if (index !== -1) {
+        return [...path.slice(index), fileName];
+      }
+
+      if (checked.has(fileName)) {
+        return undefined;
+      }
+
+      path.push(fileName);
+
+      for (const reference of references.get(fileName) ?? []) {
+        const cycle = visit(reference);
+
+        if (cycle) {
+          return cycle;
+        }
+      }
+
+      path.pop();
+      checked.add(fileName);
+
+      return undefined;
+    };
+
+    return visit(start);
   }
 
   /**
    * @param {string} fileName
    * @param {string} contents
+   * @param {ParseOptions} [options]
    *
-   * @returns {{
-   *   files: Map<string, ParsedFile>;
-   *   subFilesToLoad: Set<string>;
-   * }}
+   * @returns {ParsedDocument}
    */
-  static parse(fileName, contents) {
-    const FILE_COMMAND = /^\s*0\s+FILE\s+/m;
-
-    let [initial, mainFileContents, ...blocks] = contents.split(FILE_COMMAND);
+  static parse(fileName, contents, options = {}) {
+    const BLOCK_COMMAND =
+      /^[^\S\n]*0[^\S\n]+(?<command>FILE|!DATA)[^\S\n]+(?<name>.*)$/gm;
 
-    // Single file, not mpd
-    if (!mainFileContents) {
-      mainFileContents = initial;
-    }
+    const blocks = [...contents.matchAll(BLOCK_COMMAND)];
 
     /** @type {Map<string, ParsedFile>} */
     const files = new Map();
 
-    const mainFile = File.parse(fileName, mainFileContents);
-
-    files.set(fileName, mainFile);
+    /** @type {Map<string, Uint8Array<ArrayBuffer>>} */
+    const resources = new Map();
 
     /** @type {Set<string>} */
     const definedSubFiles = new Set();
 
-    /** @type {Set<string>} */
-    const subFileReferences = new Set();
+    /** @type {Diagnostic[]} */
+    const dataDiagnostics = [];
+
+    /** @type {string | undefined} */
+    let mainBlockName;
+
+    // Single file, not mpd, though it might still have data at the end
+    if (!blocks.some((block) => block.groups?.command === "FILE")) {
+      files.set(
+        fileName,
+        File.parse(
+          fileName,
+          contents.slice(0, blocks[0]?.index ?? contents.length),
+          options
+        )
+      );
+    }
 
-    for (const block of blocks) {
-      const firstNewline = block.indexOf("\n");
-      const [rawFileName, contents] = [
-        block.slice(0, firstNewline),
-        block.slice(firstNewline + 1),
-      ];
+    let lineNumber = 1;
+    let counted = 0;
 
-      const blockFileName = rawFileName.trim();
-      const parsed = File.parse(blockFileName, contents);
-      definedSubFiles.add(blockFileName);
-      parsed.fileGeometry.files.forEach((f) =>
-        subFileReferences.add(f.fileName)
-      );
-      files.set(blockFileName, parsed);
+    for (const [index, block] of blocks.entries()) {
+      const start = block.index + block[0].length + 1;
+      const end = blocks[index + 1]?.index ?? contents.length;
+
+      // Diagnostics point at lines of the whole document
+      for (; counted < start && counted < contents.length; counted++) {
+        if (contents[counted] === "\n") {
+          lineNumber++;
+        }
+      }
+
+      const name = block.groups?.name.trim() ?? "";
+
+      if (block.groups?.command === "!DATA") {
+        const data = decodeData(contents.slice(start, end));
+
+        if (data) {
+          resources.set(name, data);
+        } else {
+          dataDiagnostics.push({
+            severity: "error",
+            fileName: name,
+            line: lineNumber - 1,
+            source: block[0].trim(),
+            message: "Malformed base64 data",
+          });
+        }
+
+        continue;
+      }
+
+      // The first file is the main model, whatever it's called
+      const isMainFile = files.size === 0;
+      const blockFileName = isMainFile ? fileName : name;
+
+      if (isMainFile) {
+        mainBlockName = name;
+      }
+
+      const parsed = File.parse(blockFileName, contents.slice(start, end), {
+        ...options,
+        firstLine: lineNumber,
+      });
+
+      // Files are named however references to them spell it
+      const key = isMainFile ? fileName : normalizeFileName(name);
+
+      if (!isMainFile) {
+        definedSubFiles.add(key);
+      }
+
+      files.set(key, parsed);
+    }
+
+    if (dataDiagnostics.length) {
+      if (options.strict) {
+        throw new ParseError(dataDiagnostics);
+      }
+
+      files.get(fileName)?.diagnostics.push(...dataDiagnostics);
     }
 
     const allSubFiles = new Set(
       [...files.values()].flatMap((f) =>
-        f.fileGeometry.files.map((f) => f.fileName)
+        f.fileGeometry.files.map((f) => normalizeFileName(f.fileName))
       )
     );
 
-    const subFilesToLoad = allSubFiles.difference(definedSubFiles);
+    const subFilesToLoad = new Set(
+      [...allSubFiles].filter((name) => !definedSubFiles.has(name))
+    );
+
+    return { files, subFilesToLoad, resources, mainBlockName };
+  }
+
+  /**
+   * Write a parsed document back out as an MPD, main file first
+   * and embedded data last. The main file keeps the name its 0 FILE line
+   * gave it, and only has one if it had one or other files follow it.
+   *
+   * @param {string} mainFileName
+   * @param {Pick<ParsedDocument, "files"> & Partial<ParsedDocument>} document
+   *
+   * @returns {string}
+   */
+  static serialize(
+    mainFileName,
+    { files, resources = new Map(), mainBlockName }
+  ) {
+    const mainFile = files.get(mainFileName);
+
+    if (!mainFile) {
+      throw new Error(`File ${mainFileName} is not present in contents`);
+    }
+
+    const mainName =
+      mainBlockName ?? (files.size > 1 ? mainFileName : undefined);
+
+    return [
+      ...[mainFile, ...[...files.values()].filter((f) => f !== mainFile)].map(
+        function (file) {
+          const name = file === mainFile ? mainName : file.fileName;
 
-    return { files, subFilesToLoad };
+          return (
+            (name === undefined ? "" : `0 FILE ${name}\n`) +
+            File.serialize(file)
+          );
+        }
+      ),
+      ...[...resources].map(
+        ([name, data]) => `0 !DATA ${name}\n${encodeData(data)}`
+      ),
+    ].join("");
   }
 }
 
@@ -138,132 +304,512 @@ export class File {
   #fileGeometry;
 
   /** @readonly @type {GeometryType[]}*/
-  static #geometryTypes = ["lines", "optionalLines", "triangles"];
+  static #geometryTypes = [
+    "lines",
+    "optionalLines",
+    "triangles",
+    "twoSidedTriangles",
+  ];
+
+  /** @readonly @type {(keyof Geometry | "studs" | "files")[]} */
+  static #stepKeys = [
+    ...File.#geometryTypes,
+    "texturedTriangles",
+    "studs",
+    "files",
+  ];
+
+  /**
+   * The files whose render is in progress, outermost first
+   *
+   * @type {File[]}
+   */
+  static #rendering = [];
+
+  /** @readonly @type {Step} */
+  static #EMPTY_STEP = {
+    lines: 0,
+    optionalLines: 0,
+    triangles: 0,
+    twoSidedTriangles: 0,
+    texturedTriangles: 0,
+    studs: 0,
+    files: 0,
+    rotation: undefined,
+  };
 
   /**
    * @param {string} name
    * @param {Color[]} colors
    * @param {Geometry} geometry
    * @param {FileGeometry} fileGeometry
-   * @param {Map<string, File>} subFiles
+   * @param {Step[]} steps
+   * @param {FileMetadata} metadata
+   * @param {boolean} certified
+   * @param {Diagnostic[]} diagnostics
+   * @param {string[]} groups
+   * @param {Map<string, File>} subFiles Keyed by their normalized names
+   * @param {Map<string, Uint8Array<ArrayBuffer>>} resources Binary files,
+   *   like textures, embedded in the document this file is from
    */
-  constructor(name, colors, geometry, fileGeometry, subFiles) {
+  constructor(
+    name,
+    colors,
+    geometry,
+    fileGeometry,
+    steps,
+    metadata,
+    certified,
+    diagnostics,
+    groups,
+    subFiles,
+    resources
+  ) {
     this.name = name;
     this.colors = colors;
     this.#geometry = geometry;
     this.#fileGeometry = fileGeometry;
+    this.steps = steps;
+    this.metadata = metadata;
+    this.certified = certified;
+    this.diagnostics = diagnostics;
+    this.groups = groups;
     this.subFiles = subFiles;
+    this.resources = resources;
   }
 
   /**
    * @param {string} name
    * @param {ParsedFile | string} contents
    * @param {File[]} subFiles
+   * @param {ParseOptions} [options]
+   * @param {Map<string, Uint8Array<ArrayBuffer>>} [resources] Binary files
+   *   embedded in the document the file is from
    */
-  static from(name, contents, subFiles = []) {
+  static from(name, contents, subFiles = [], options, resources = new Map()) {
     const parsedFile =
-      typeof contents === "string" ? File.parse(name, contents) : contents;
+      typeof contents === "string"
+        ? File.parse(name, contents, options)
+        : contents;
 
-    const subFileMap = new Map(subFiles.map((f) => [f.name, f]));
+    const subFileMap = new Map(
+      subFiles.map((f) => [normalizeFileName(f.name), f])
+    );
 
     return new File(
       name,
       parsedFile.colors,
       parsedFile.geometry,
       parsedFile.fileGeometry,
-      subFileMap
+      parsedFile.steps,
+      parsedFile.metadata,
+      parsedFile.certified,
+      parsedFile.diagnostics,
+      parsedFile.groups,
+      subFileMap,
+      resources
     );
   }
 
   /**
    * @param {string} fileName
    * @param {string} contents
+   * @param {ParseOptions} [options]
    *
    * @returns {ParsedFile}
    */
-  static parse(fileName, contents) {
+  static parse(fileName, contents, { strict = false, firstLine = 1 } = {}) {
     const colors = [];
 
-    const BFC_INVERTNEXT = /^0\s+BFC\s+INVERTNEXT/;
+    const STEP = /^0\s+STEP\b/;
 
-    let invertNext = false;
+    const ROTSTEP = /^0\s+ROTSTEP\b/;
+
+    /** @type {BfcState} */
+    const bfc = {
+      certified: false,
+      ccw: true,
+      clip: true,
+      invertNext: false,
+    };
 
     /** @type {Geometry} */
     const geometry = {
       lines: [],
       optionalLines: [],
       triangles: [],
-      invertedTriangles: [],
+      twoSidedTriangles: [],
+      texturedTriangles: [],
     };
 
     /** @type {FileGeometry} */
     const fileGeometry = {
       studs: [],
       files: [],
+      textures: [],
+      texmaps: [],
+    };
+
+    /** @type {TexmapState} */
+    const texmaps = {
+      current: undefined,
+      next: undefined,
+      fallback: false,
+    };
+
+    /** @type {EditorState} */
+    const editor = {
+      skipping: false,
+      groupNames: new Map(),
+      groups: new Set(),
+      nextGroups: [],
+    };
+
+    /** @type {Step[]} */
+    const steps = [];
+
+    const metadata = emptyMetadata();
+
+    /** @type {Diagnostic[]} */
+    const diagnostics = [];
+
+    let lineNumber = firstLine - 1;
+
+    let source = "";
+
+    // What comes before the command on the line, like 0 !: or 0 GHOST
+    let prefix = "";
+
+    /** @type {SourceLine[]} */
+    const sourceLines = [];
+
+    /** @type {RecordGeometry} */
+    const record = (geometryLine) => {
+      // The line is written from its geometry instead of as it was
+      sourceLines[sourceLines.length - 1] = { prefix, ...geometryLine };
+    };
+
+    /** @type {Report} */
+    const report = (severity, message) => {
+      diagnostics.push({
+        severity: strict ? "error" : severity,
+        fileName,
+        line: lineNumber,
+        source,
+        message,
+      });
     };
 
+    let isFirstLine = true;
+
     for (const line of contents.split("\n")) {
-      const command = line.trim();
+      lineNumber++;
+
+      let command = line.trim();
+
+      sourceLines.push({ text: command });
 
       if (!command) {
         continue;
       }
 
+      source = command;
+
+      const isTitle = isFirstLine;
+      isFirstLine = false;
+
+      if (parseTexmap(command, texmaps)) {
+        continue;
+      }
+
+      // Fallback geometry is only for renderers without texture support
+      if (texmaps.fallback) {
+        continue;
+      }
+
+      const texmapCommand = command.match(TEXMAP_GEOMETRY)?.groups?.command;
+
+      if (texmapCommand) {
+        if (!texmaps.current) {
+          continue;
+        }
+
+        command = texmapCommand;
+      }
+
+      const texmap = texmaps.next ?? texmaps.current;
+
+      let hidden = editor.skipping;
+      let ghost = false;
+
+      const hiddenCommand = command.match(HIDDEN_LINE)?.groups?.command;
+
+      if (hiddenCommand) {
+        command = hiddenCommand;
+        hidden = true;
+      }
+
+      const ghostCommand = command.match(GHOST_LINE)?.groups?.command;
+
+      if (ghostCommand) {
+        command = ghostCommand;
+        ghost = true;
+      }
+
+      /** @type {Visibility} */
+      const visibility = { hidden, ghost, groups: editor.nextGroups };
+
+      prefix = source.slice(0, source.length - command.length);
+
       let parsed;
-      if (BFC_INVERTNEXT.test(command)) {
-        invertNext = true;
+      if (parseMetadata(command, metadata, isTitle)) {
+      } else if (parseBfc(command, bfc)) {
+      } else if (parseEditorCommand(command, editor)) {
+      } else if (STEP.test(command)) {
+        steps.push(endStep(geometry, fileGeometry, undefined));
+      } else if (ROTSTEP.test(command)) {
+        steps.push(endStep(geometry, fileGeometry, parseRotStep(command)));
       } else if ((parsed = Color.from(command))) {
         colors.push(parsed);
-      } else if (parseGeometry(command, geometry)) {
-      } else if (parseDrawFile(command, invertNext, fileGeometry)) {
-        invertNext = false;
+      } else if ((hidden || ghost) && GEOMETRY_LINE.test(command)) {
+        // Only subfile references can carry a flag, so leave the line out
+        editor.nextGroups = [];
+      } else if (
+        parseGeometry(
+          command,
+          bfc,
+          geometry,
+          texmap,
+          fileGeometry,
+          report,
+          record
+        )
+      ) {
+        texmaps.next = undefined;
+        editor.nextGroups = [];
+      } else if (
+        parseDrawFile(
+          command,
+          bfc,
+          fileGeometry,
+          texmap,
+          visibility,
+          lineNumber,
+          report,
+          record
+        )
+      ) {
+        bfc.invertNext = false;
+        texmaps.next = undefined;
+        editor.nextGroups = [];
+      } else if (META_COMMAND.test(command)) {
+        report("warning", "Unknown meta command");
+      } else if (!COMMENT.test(command)) {
+        report("error", "Unknown line type");
       }
     }
 
+    if (strict && diagnostics.length) {
+      throw new ParseError(diagnostics);
+    }
+
+    // The serializer ends the file with one newline of its own
+    sourceLines.splice(
+      sourceLines.findLastIndex((line) => !("text" in line) || line.text) + 1
+    );
+
+    const lastStep = steps.at(-1);
+    const finalStep = endStep(geometry, fileGeometry, undefined);
+
+    // Anything after the last STEP is an implicit final step
+    if (
+      !lastStep ||
+      File.#stepKeys.some((key) => lastStep[key] !== finalStep[key])
+    ) {
+      steps.push(finalStep);
+    }
+
     return {
       fileName,
       colors,
       geometry,
       fileGeometry,
-      subFilesToLoad: new Set(fileGeometry.files.map((f) => f.fileName)),
+      steps,
+      metadata: finalizeMetadata(metadata),
+      certified: bfc.certified,
+      diagnostics,
+      groups: [...editor.groups],
+      sourceLines,
+      subFilesToLoad: new Set(
+        fileGeometry.files.map((f) => normalizeFileName(f.fileName))
+      ),
     };
   }
 
   /**
-   * @param {number} color
-   * @param {Matrix} transformation
-   * @param {boolean} invert
+   * Write a parsed file back out as LDraw text. Geometry and subfile
+   * references are written from what they were parsed into, so changes to
+   * them are kept, and every other line is written as it was.
+   *
+   * @param {ParsedFile} parsedFile
+   *
+   * @returns {string}
+   */
+  static serialize({ geometry, fileGeometry, sourceLines }) {
+    const lines = sourceLines.map((line) =>
+      "text" in line
+        ? line.text
+        : line.prefix + serializeGeometry(line, geometry, fileGeometry)
+    );
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Flatten this file and its subfiles into one set of geometry.
+   *
+   * Steps only apply to this file: subfiles are always rendered whole,
+   * the way a submodel is placed as one unit in building instructions.
+   *
+   * @param {RenderOptions} [options]
    * @param {RenderResult} [accumulator]
    *
    * @returns {RenderResult}
    */
   render(
-    color = Color.CURRENT_COLOR_CODE,
-    transformation = matrix.identity,
-    invert = false,
+    {
+      color = Color.CURRENT_COLOR_CODE,
+      transformation = matrix.identity,
+      invert = false,
+      clip = true,
+      texmap,
+      step = this.steps.length,
+      showHidden = false,
+      showGhosts = false,
+      hiddenGroups = new Set(),
+      instance = File.instanceNothing,
+      placeholders = false,
+    } = {},
     accumulator
   ) {
+    // Only the outermost file records where its steps end
+    const recordSteps = !accumulator;
+
     accumulator ??= {
       lines: [],
       optionalLines: [],
       triangles: [],
+      twoSidedTriangles: [],
+      texturedTriangles: [],
       studs: [],
+      steps: [],
+      textures: [],
+      references: [],
+      instances: new Map(),
+    };
+
+    const args = {
+      color,
+      transformation,
+      invert,
+      clip,
+      texmap,
+      showHidden,
+      showGhosts,
+      hiddenGroups,
+      instance,
+      placeholders,
     };
 
+    const cycleStart = File.#rendering.indexOf(this);
+
+    if (cycleStart !== -1) {
+      throw new CircularReferenceError(
+        [...File.#rendering.slice(cycleStart), this].map((file) => file.name)
+      );
+    }
+
+    File.#rendering.push(this);
+
+    try {
+      let previousStep = File.#EMPTY_STEP;
+
+      for (const currentStep of this.steps.slice(0, Math.max(step, 0))) {
+        this.#renderStep(
+          previousStep,
+          currentStep,
+          args,
+          recordSteps,
+          accumulator
+        );
+
+        if (recordSteps) {
+          accumulator.steps.push(File.#offsets(accumulator));
+        }
+
+        previousStep = currentStep;
+      }
+    } finally {
+      File.#rendering.pop();
+    }
+
+    return accumulator;
+  }
+
+  /**
+   * @param {Step} start
+   * @param {Step} end
+   * @param {Required<Omit<RenderOptions, "step">>} args
+   * @param {boolean} recordReferences Whether to record where each subfile's
+   *   geometry is in the result
+   * @param {RenderResult} accumulator
+   */
+  #renderStep(start, end, args, recordReferences, accumulator) {
+    const {
+      color,
+      transformation,
+      invert,
+      clip,
+      texmap,
+      instance,
+      placeholders,
+      ...visibility
+    } = args;
+
     const [a, b, c, , d, e, f, , g, h, ii, , tx, ty, tz] = transformation;
 
     for (const key of File.#geometryTypes) {
-      const destination = accumulator[key];
+      const isTriangles = key === "triangles" || key === "twoSidedTriangles";
+
+      if (isTriangles && texmap) {
+        // A texture from a parent file covers all of this file's faces
+        this.#projectGeometry(
+          this.#geometry[key],
+          start[key],
+          end[key],
+          accumulator.texturedTriangles,
+          color,
+          transformation,
+          texmap
+        );
 
-      const array =
-        this.#geometry[
-          key === "triangles" && invert ? "invertedTriangles" : key
-        ];
+        continue;
+      }
+
+      // Certified triangles can only be culled if every parent file allows it
+      const destination =
+        key === "triangles" && !clip
+          ? accumulator.twoSidedTriangles
+          : accumulator[key];
 
       this.#transformGeometry(
-        array,
+        this.#geometry[key],
+        start[key],
+        end[key],
+        4,
         destination,
         color,
+        key === "triangles" && invert,
         a,
         d,
         g,
@@ -279,42 +825,273 @@ export class File {
       );
     }
 
+    const texturesStart = accumulator.texturedTriangles.length;
+
+    this.#transformGeometry(
+      this.#geometry.texturedTriangles,
+      start.texturedTriangles,
+      end.texturedTriangles,
+      7,
+      accumulator.texturedTriangles,
+      color,
+      false,
+      a,
+      d,
+      g,
+      tx,
+      b,
+      e,
+      h,
+      ty,
+      c,
+      f,
+      ii,
+      tz
+    );
+
+    // Point texture layers at the combined texture list
+    const layers = this.#fileGeometry.textures.map((t) =>
+      textureLayer(accumulator.textures, t)
+    );
+
+    for (
+      let i = texturesStart + 6;
+      i < accumulator.texturedTriangles.length;
+      i += 7
+    ) {
+      accumulator.texturedTriangles[i] =
+        layers[accumulator.texturedTriangles[i]];
+    }
+
+    const studs = this.#fileGeometry.studs
+      .slice(start.studs, end.studs)
+      .filter((stud) => File.#isVisible(stud, visibility));
+
     const startingStudIndex = accumulator.studs.length;
-    accumulator.studs.length += this.#fileGeometry.studs.length;
+    accumulator.studs.length += studs.length;
     let index = startingStudIndex;
-    for (const stud of this.#fileGeometry.studs) {
+    for (const stud of studs) {
       accumulator.studs[index] = {
         color: stud.color === 16 ? color : stud.color,
         invert: invert !== stud.invert,
+        clip: clip && stud.clip,
         transformation: matrix.multiply(transformation, stud.transformation),
       };
       index++;
     }
 
-    for (let i = 0; i < this.#fileGeometry.files.length; i++) {
+    for (let i = start.files; i < end.files; i++) {
       const reference = this.#fileGeometry.files[i];
-      const file = this.subFiles.get(reference.fileName);
+
+      if (!File.#isVisible(reference, visibility)) {
+        continue;
+      }
+
+      const file =
+        this.subFiles.get(normalizeFileName(reference.fileName)) ??
+        (placeholders ? File.#placeholderFile : undefined);
 
       if (!file) {
-        throw new Error(`Missing subfile ${reference.fileName}`);
+        throw new Error(
+          `Missing subfile ${reference.fileName}, referenced on line ${reference.line} of ${this.name}`
+        );
       }
 
-      file.render(
-        reference.color === 16 ? color : reference.color,
-        matrix.multiply(transformation, reference.transformation),
-        invert !== reference.invert,
-        accumulator
+      const referenceStart = recordReferences && File.#offsets(accumulator);
+
+      const referenceColor = reference.color === 16 ? color : reference.color;
+
+      const referenceTransformation = matrix.multiply(
+        transformation,
+        reference.transformation
       );
+
+      // Projected textures depend on where the file is,
+      // so every use of a file under one is different
+      const instanced =
+        !texmap &&
+        !reference.texmap &&
+        (file === File.#placeholderFile || instance(file)) &&
+        File.#instancedFile(file, visibility, accumulator);
+
+      if (instanced) {
+        // The file is rendered as if it were certified, not inverted,
+        // and each instance says how much of that applies to it
+        instanced.instances.push({
+          color: referenceColor,
+          invert: invert !== reference.invert,
+          clip: clip && reference.clip,
+          transformation: referenceTransformation,
+        });
+
+        // Instances can't have instances of their own, so their studs
+        // are drawn with the rest
+        for (const stud of instanced.result.studs) {
+          accumulator.studs.push({
+            color: stud.color === 16 ? referenceColor : stud.color,
+            invert: (invert !== reference.invert) !== stud.invert,
+            clip: clip && reference.clip && stud.clip,
+            transformation: matrix.multiply(
+              referenceTransformation,
+              stud.transformation
+            ),
+          });
+        }
+      } else {
+        const inverse = reference.texmap && matrix.invert(transformation);
+
+        file.render(
+          {
+            color: referenceColor,
+            transformation: referenceTransformation,
+            invert: invert !== reference.invert,
+            clip: clip && reference.clip,
+            texmap:
+              reference.texmap && inverse
+                ? {
+                    texmap: reference.texmap,
+                    inverse,
+                    layer: textureLayer(
+                      accumulator.textures,
+                      reference.texmap.texture
+                    ),
+                  }
+                : texmap,
+            instance,
+            placeholders,
+            ...visibility,
+          },
+          accumulator
+        );
+      }
+
+      if (referenceStart) {
+        accumulator.references.push({
+          fileName: reference.fileName,
+          line: reference.line,
+          start: referenceStart,
+          end: File.#offsets(accumulator),
+        });
+      }
     }
+  }
 
-    return accumulator;
+  /**
+   * @param {RenderResult} result
+   *
+   * @returns {StepOffsets} The length of each geometry list
+   */
+  static #offsets(result) {
+    return {
+      lines: result.lines.length,
+      optionalLines: result.optionalLines.length,
+      triangles: result.triangles.length,
+      twoSidedTriangles: result.twoSidedTriangles.length,
+      texturedTriangles: result.texturedTriangles.length,
+      studs: result.studs.length,
+      instances: [...result.instances.values()].flatMap((instanced) =>
+        instanced ? [instanced.instances.length] : []
+      ),
+    };
+  }
+
+  /**
+   * A file's geometry for drawing as instances, rendered the first time
+   * it's needed. Files with textures can't be instanced.
+   *
+   * @param {File} file
+   * @param {Pick<Required<RenderOptions>, "showHidden" | "showGhosts" | "hiddenGroups">} visibility
+   * @param {RenderResult} accumulator
+   *
+   * @returns {InstancedFile | undefined}
+   */
+  static #instancedFile(file, visibility, accumulator) {
+    if (accumulator.instances.has(file.name)) {
+      return accumulator.instances.get(file.name);
+    }
+
+    const result = file.render(visibility);
+
+    const instanced = result.texturedTriangles.length
+      ? undefined
+      : { file, result, instances: [] };
+
+    accumulator.instances.set(file.name, instanced);
+
+    return instanced;
+  }
+
+  /** @type {File | undefined} */
+  static #placeholder;
+
+  /**
+   * A box the size of a 1 x 1 brick, drawn in place of files
+   * that haven't loaded yet. All of them share its geometry.
+   */
+  static get #placeholderFile() {
+    const corners = [
+      [-10, -10],
+      [10, -10],
+      [10, 10],
+      [-10, 10],
+    ];
+
+    return (File.#placeholder ??= File.from(
+      PLACEHOLDER_NAME,
+      corners
+        .flatMap(([x, z], i) => {
+          const [nextX, nextZ] = corners[(i + 1) % corners.length] ?? [];
+
+          return [
+            `2 24 ${x} 0 ${z} ${nextX} 0 ${nextZ}`,
+            `2 24 ${x} 24 ${z} ${nextX} 24 ${nextZ}`,
+            `2 24 ${x} 0 ${z} ${x} 24 ${z}`,
+          ];
+        })
+        .join("\n")
+    ));
+  }
+
+  /**
+   * The default for {@link RenderOptions}'s `instance`.
+   *
+   * @param {File} file
+   */
+  static instanceNothing(file) {
+    return false;
+  }
+
+  /**
+   * The default for {@link File#geometry}'s `instance`.
+   *
+   * @param {File} file
+   */
+  static instanceParts(file) {
+    return file.isPart();
+  }
+
+  /**
+   * @param {SubFileReference} reference
+   * @param {Pick<Required<RenderOptions>, "showHidden" | "showGhosts" | "hiddenGroups">} options
+   */
+  static #isVisible(reference, { showHidden, showGhosts, hiddenGroups }) {
+    return (
+      (showHidden || !reference.hidden) &&
+      (showGhosts || !reference.ghost) &&
+      !reference.groups.some((group) => hiddenGroups.has(group))
+    );
   }
 
   /**
    *
    * @param {*} array
+   * @param {number} start
+   * @param {number} end
+   * @param {number} stride Floats per vertex, where anything past
+   * (x y z c) is copied as is
    * @param {*} destination
    * @param {number} color
+   * @param {boolean} reverse Reverse the winding of each triangle
    * @param {number} a
    * @param {number} d
    * @param {number} g
@@ -330,8 +1107,12 @@ export class File {
    */
   #transformGeometry(
     array,
+    start,
+    end,
+    stride,
     destination,
     color,
+    reverse,
     a,
     d,
     g,
@@ -345,33 +1126,273 @@ export class File {
     ii,
     tz
   ) {
-    for (let i = 0; i < array.length; i += 4) {
-      const x = array[i];
-      const y = array[i + 1];
-      const z = array[i + 2];
+    for (let i = start; i < end; i += stride) {
+      // Swap the first and last vertex of every triangle
+      const vertex = reverse ? i + (2 - 2 * ((i / stride) % 3)) * stride : i;
+
+      const x = array[vertex];
+      const y = array[vertex + 1];
+      const z = array[vertex + 2];
 
       destination.push(a * x + d * y + g * z + tx);
       destination.push(b * x + e * y + h * z + ty);
       destination.push(c * x + f * y + ii * z + tz);
 
       destination.push(
-        array[i + 3] === 16 || array[i + 3] === 24 ? color : array[i + 3]
+        array[vertex + 3] === 16 || array[vertex + 3] === 24
+          ? color
+          : array[vertex + 3]
       );
+
+      for (let j = 4; j < stride; j++) {
+        destination.push(array[vertex + j]);
+      }
     }
   }
 
   /**
-   * @returns {PartGeometry}
+   * Transform triangles and map a texture onto them.
+   *
+   * @param {number[]} array
+   * @param {number} start
+   * @param {number} end
+   * @param {number[]} destination
+   * @param {number} color
+   * @param {Matrix} transformation
+   * @param {ProjectedTexmap} projected
    */
-  geometry() {
-    const {
-      lines,
-      optionalLines: rawOptionalLines,
-      triangles,
-      studs: rawStuds,
-    } = this.render();
-
-    const { viewBox, center } = File.#boundingBox(lines);
+  #projectGeometry(
+    array,
+    start,
+    end,
+    destination,
+    color,
+    transformation,
+    { texmap, inverse, layer }
+  ) {
+    // Maps this file's coordinates to the coordinates the texmap was defined in
+    const toTexmap = matrix.multiply(inverse, transformation);
+
+    for (let i = start; i < end; i += 4) {
+      const x = array[i];
+      const y = array[i + 1];
+      const z = array[i + 2];
+
+      const [u, v] = textureCoordinates(
+        texmap,
+        transformPoint(toTexmap, x, y, z)
+      );
+
+      destination.push(...transformPoint(transformation, x, y, z));
+
+      destination.push(
+        array[i + 3] === 16 || array[i + 3] === 24 ? color : array[i + 3]
+      );
+
+      destination.push(u, v, layer);
+    }
+  }
+
+  /**
+   * The parts a model is built from, counted by part and color. Submodels are
+   * counted as the parts in them, and primitives are left out, as are parts
+   * that wouldn't be rendered with these options.
+   *
+   * @param {Pick<RenderOptions, "showHidden" | "showGhosts" | "hiddenGroups">} [options]
+   *
+   * @returns {PartsListEntry[]} In the order each part and color first appears
+   */
+  partsList({
+    showHidden = false,
+    showGhosts = false,
+    hiddenGroups = new Set(),
+  } = {}) {
+    /** @type {Map<string, PartsListEntry>} */
+    const entries = new Map();
+
+    this.#countParts(
+      Color.CURRENT_COLOR_CODE,
+      { showHidden, showGhosts, hiddenGroups },
+      [this],
+      entries
+    );
+
+    return [...entries.values()];
+  }
+
+  /**
+   * @param {number} color
+   * @param {Pick<Required<RenderOptions>, "showHidden" | "showGhosts" | "hiddenGroups">} visibility
+   * @param {File[]} path The files being counted, outermost first
+   * @param {Map<string, PartsListEntry>} entries
+   */
+  #countParts(color, visibility, path, entries) {
+    for (const reference of this.#fileGeometry.files) {
+      if (!File.#isVisible(reference, visibility)) {
+        continue;
+      }
+
+      const file = this.subFiles.get(normalizeFileName(reference.fileName));
+
+      if (!file) {
+        throw new Error(
+          `Missing subfile ${reference.fileName}, referenced on line ${reference.line} of ${this.name}`
+        );
+      }
+
+      const partColor = reference.color === 16 ? color : reference.color;
+
+      if (file.isPart()) {
+        const key = `${file.name} ${partColor}`;
+        const entry = entries.get(key);
+
+        if (entry) {
+          entry.quantity++;
+        } else {
+          entries.set(key, {
+            fileName: file.name,
+            title: file.metadata.title,
+            color: partColor,
+            quantity: 1,
+          });
+        }
+      } else if (file.isModel()) {
+        if (path.includes(file)) {
+          throw new CircularReferenceError(
+            [...path.slice(path.indexOf(file)), file].map((f) => f.name)
+          );
+        }
+
+        file.#countParts(partColor, visibility, [...path, file], entries);
+      }
+    }
+  }
+
+  /**
+   * Parts without an !LDRAW_ORG line are recognized by their extension.
+   */
+  isPart() {
+    const { type } = this.metadata;
+
+    return type === undefined
+      ? /\.dat$/i.test(this.name)
+      : /^(?:Unofficial_)?(?:Part|Shortcut)$/i.test(type);
+  }
+
+  isModel() {
+    const { type } = this.metadata;
+
+    return type === undefined
+      ? !/\.dat$/i.test(this.name)
+      : /^(?:Unofficial_)?Model$/i.test(type);
+  }
+
+  /**
+   * Diagnostics of this file and every file it uses, each file only once.
+   *
+   * @param {Set<File>} [visited]
+   *
+   * @returns {Diagnostic[]}
+   */
+  allDiagnostics(visited = new Set()) {
+    if (visited.has(this)) {
+      return [];
+    }
+
+    visited.add(this);
+
+    return [
+      ...this.diagnostics,
+      ...[...this.subFiles.values()].flatMap((file) =>
+        file.allDiagnostics(visited)
+      ),
+    ];
+  }
+
+  /**
+   * Group names of this file and every file it uses.
+   *
+   * @returns {string[]}
+   */
+  allGroups() {
+    /** @type {Set<string>} */
+    const groups = new Set();
+
+    /** @type {Set<File>} */
+    const visited = new Set();
+
+    /** @param {File} file */
+    const visit = (file) => {
+      if (visited.has(file)) {
+        return;
+      }
+
+      visited.add(file);
+      file.groups.forEach((group) => groups.add(group));
+      file.subFiles.forEach(visit);
+    };
+
+    visit(this);
+
+    return [...groups];
+  }
+
+  /**
+   * Parts are drawn as instances of their own geometry,
+   * unless `options.instance` picks other files.
+   *
+   * @param {number} [step] The last (1-based) step to include
+   * @param {GeometryOptions} [options]
+   *
+   * @returns {PartGeometry}
+   */
+  geometry(
+    step,
+    { instance = File.instanceParts, weld = false, ...options } = {}
+  ) {
+    return this.#partGeometry(
+      this.render({ ...options, instance, ...(step == null ? {} : { step }) }),
+      weld
+    );
+  }
+
+  /**
+   * @param {RenderResult} result
+   * @param {boolean} weld
+   *
+   * @returns {PartGeometry}
+   */
+  #partGeometry(result, weld) {
+    const {
+      lines,
+      optionalLines: rawOptionalLines,
+      triangles,
+      twoSidedTriangles,
+      texturedTriangles,
+      studs: rawStuds,
+      steps: rawSteps,
+      textures,
+    } = result;
+
+    const boundingBox = File.#boundingBox(result);
+    const { viewBox, center } = frame(boundingBox);
+
+    /** @type {ReferenceBounds[]} */
+    const references = [];
+
+    for (const { fileName, line, start, end } of result.references) {
+      const referenceBox = File.#boundingBox(result, start, end);
+      const file = this.subFiles.get(normalizeFileName(fileName));
+
+      if (referenceBox) {
+        references.push({
+          fileName,
+          line,
+          submodel: !!file && file.isModel(),
+          boundingBox: referenceBox,
+        });
+      }
+    }
 
     const optionalLines = new Float32Array(rawOptionalLines.length * 2);
 
@@ -387,69 +1408,225 @@ export class File {
       optionalLines.set(points, index + points.length);
     }
 
-    const studStride = 17; // 16 matrix + 1 color
-    const studs = new Float32Array(rawStuds.length * studStride);
+    /** @type {PartInstances[]} */
+    const instances = [];
 
-    for (let i = 0; i < rawStuds.length; i++) {
-      const args = rawStuds[i];
-      const index = i * studStride;
-      studs.set(args.transformation, index);
-      studs[index + 16] = args.color;
+    for (const instanced of result.instances.values()) {
+      if (instanced) {
+        instances.push({
+          geometry: instanced.file.#partGeometry(instanced.result, weld),
+          instances: instanceData(instanced.instances),
+        });
+      }
     }
 
-    return {
-      fileName: this.name,
+    // Convert array lengths to the vertex and instance counts the GPU draws
+    const steps = rawSteps.map((s) => ({
+      lines: s.lines / 4,
+      optionalLines: (s.optionalLines / optionalLineStride) * 2,
+      triangles: s.triangles / 4,
+      twoSidedTriangles: s.twoSidedTriangles / 4,
+      texturedTriangles: s.texturedTriangles / 7,
+      studs: s.studs,
+      instances: s.instances,
+    }));
+
+    const [normalTriangles, normalTwoSidedTriangles] = vertexNormals(
+      [triangles, twoSidedTriangles],
+      lines,
+      rawOptionalLines
+    );
+
+    const vertices = {
       lines: new Float32Array(lines),
       optionalLines,
-      triangles: new Float32Array(triangles),
-      studs: studs,
+      triangles: normalTriangles,
+      twoSidedTriangles: normalTwoSidedTriangles,
+    };
+
+    /** @type {GeometryIndices | undefined} */
+    let indices;
+
+    if (weld) {
+      const welded = {
+        lines: weldVertices(vertices.lines, 4),
+        // Optional line shaders take which end of the line a vertex is from
+        // its index, so each line's pair of vertices is welded together
+        optionalLines: weldVertices(vertices.optionalLines, 16, 2),
+        triangles: weldVertices(vertices.triangles, 7),
+        twoSidedTriangles: weldVertices(vertices.twoSidedTriangles, 7),
+      };
+
+      for (const key of /** @type {const} */ ([
+        "lines",
+        "optionalLines",
+        "triangles",
+        "twoSidedTriangles",
+      ])) {
+        vertices[key] = welded[key].vertices;
+      }
+
+      indices = {
+        lines: welded.lines.indices,
+        optionalLines: welded.optionalLines.indices,
+        triangles: welded.triangles.indices,
+        twoSidedTriangles: welded.twoSidedTriangles.indices,
+      };
+    }
+
+    return {
+      fileName: this.name,
+      metadata: this.metadata,
+      ...vertices,
+      indices,
+      texturedTriangles: new Float32Array(texturedTriangles),
+      textures: textures.map((name) => ({ name, image: undefined })),
+      studs: instanceData(rawStuds),
+      instances,
+      steps,
       viewBox,
       center,
+      diagnostics: this.allDiagnostics(),
+      groups: this.allGroups(),
+      boundingBox,
+      references,
     };
   }
 
   /**
-   * @param {number[]} lines
+   * The box around everything drawn between two points of a render,
+   * or undefined if nothing was. Optional lines are left out,
+   * as they're only drawn next to other geometry.
    *
-   * @returns {{ viewBox: number; center: [number, number, number]}}
+   * @param {RenderResult} result
+   * @param {Partial<StepOffsets>} [start]
+   * @param {Partial<StepOffsets>} [end]
+   *
+   * @returns {BoundingBox | undefined}
    */
-  static #boundingBox(lines) {
-    if (lines.length === 0) {
-      return { viewBox: 10, center: [0, 0, 0] };
-    }
-
-    let min = [
+  static #boundingBox(result, start = {}, end = {}) {
+    /** @type {Coordinate} */
+    const min = [
       Number.POSITIVE_INFINITY,
       Number.POSITIVE_INFINITY,
       Number.POSITIVE_INFINITY,
     ];
-    let max = [
+    /** @type {Coordinate} */
+    const max = [
       Number.NEGATIVE_INFINITY,
       Number.NEGATIVE_INFINITY,
       Number.NEGATIVE_INFINITY,
     ];
 
-    for (let i = 0; i < lines.length; i += 4) {
-      for (let j = 0; j < 3; j++) {
-        min[j] = Math.min(min[j], lines[i + j]);
-        max[j] = Math.max(max[j], lines[i + j]);
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     */
+    const include = (x, y, z) => {
+      min[0] = Math.min(min[0], x);
+      min[1] = Math.min(min[1], y);
+      min[2] = Math.min(min[2], z);
+      max[0] = Math.max(max[0], x);
+      max[1] = Math.max(max[1], y);
+      max[2] = Math.max(max[2], z);
+    };
+
+    /** @type {[keyof Geometry, number][]} */
+    const strides = [
+      ["lines", 4],
+      ["triangles", 4],
+      ["twoSidedTriangles", 4],
+      ["texturedTriangles", 7],
+    ];
+
+    for (const [key, stride] of strides) {
+      const points = result[key];
+
+      for (
+        let i = start[key] ?? 0;
+        i < (end[key] ?? points.length);
+        i += stride
+      ) {
+        include(points[i] ?? 0, points[i + 1] ?? 0, points[i + 2] ?? 0);
       }
     }
 
-    const largestExtent = Math.max(
-      max[0] - min[0],
-      max[1] - min[1],
-      max[2] - min[2]
+    /**
+     * @param {RenderArgs[]} instances
+     * @param {readonly Coordinate[]} corners
+     */
+    const includeInstances = (instances, corners) => {
+      for (const { transformation: m } of instances) {
+        for (const [x, y, z] of corners) {
+          include(
+            m[0] * x + m[4] * y + m[8] * z + m[12],
+            m[1] * x + m[5] * y + m[9] * z + m[13],
+            m[2] * x + m[6] * y + m[10] * z + m[14]
+          );
+        }
+      }
+    };
+
+    includeInstances(
+      result.studs.slice(start.studs ?? 0, end.studs ?? result.studs.length),
+      STUD_CORNERS
     );
 
-    return {
-      viewBox: largestExtent / 2,
-      center: [
-        (min[0] + max[0]) / 2,
-        (min[1] + max[1]) / 2,
-        (min[2] + max[2]) / 2,
-      ],
-    };
+    const instancedFiles = [...result.instances.values()].flatMap(
+      (instanced) => instanced ?? []
+    );
+
+    for (const [index, { result: instanceResult, instances }] of [
+      ...instancedFiles.entries(),
+    ]) {
+      const box = File.#boundingBox(instanceResult);
+
+      if (!box) {
+        continue;
+      }
+
+      includeInstances(
+        instances.slice(
+          start.instances?.[index] ?? 0,
+          end.instances?.[index] ?? instances.length
+        ),
+        corners(box)
+      );
+    }
+
+    return min[0] === Number.POSITIVE_INFINITY ? undefined : { min, max };
+  }
+}
+
+export class CircularReferenceError extends Error {
+  /**
+   * @param {string[]} chain The references from a file back to itself
+   */
+  constructor(chain) {
+    super(`Circular subfile reference: ${chain.join(" -> ")}`);
+
+    this.name = "CircularReferenceError";
+    this.chain = chain;
+  }
+}
+
+export class ParseError extends Error {
+  /**
+   * @param {Diagnostic[]} diagnostics
+   */
+  constructor(diagnostics) {
+    super(
+      diagnostics
+        .map(
+          ({ fileName, line, severity, message }) =>
+            `${fileName}:${line}: ${severity}: ${message}`
+        )
+        .join("\n")
+    );
+
+    this.name = "ParseError";
+    this.diagnostics = diagnostics;
   }
 }
 
@@ -463,34 +1640,128 @@ const LineType = Object.freeze({
   DrawOptionalLine: 5,
 });
 
+/**
+ * Direct colors are encoded as negative numbers so they can travel alongside
+ * color codes in a float vertex attribute:
+ *
+ * - 0x2RRGGBB (opaque) becomes -1 - 0xRRGGBB
+ * - 0x3RRGGBB (transparent) becomes -0x1000002 - 0xRRGGBB, with the lowest
+ *   blue bit dropped so the value stays exact as a 32-bit float
+ *
+ * @param {string} unparsed
+ *
+ * @returns {number | undefined} undefined when the color can't be parsed
+ */
+export function parseColorCode(unparsed) {
+  const direct = unparsed.match(
+    /^0x(?<type>[23])(?<rgb>[0-9a-f]{6})$/i
+  )?.groups;
+
+  if (!direct) {
+    return /^\d+$/.test(unparsed) ? Number.parseInt(unparsed, 10) : undefined;
+  }
+
+  const rgb = Number.parseInt(direct.rgb, 16);
+
+  return direct.type === "2" ? -1 - rgb : -0x1000002 - (rgb & 0xfffffe);
+}
+
+/**
+ * The name a file is known by. References to LDraw files ignore case
+ * and can use either path separator, like `S\3001s01.DAT`
+ * and `s/3001s01.dat`.
+ *
+ * @param {string} fileName
+ */
+export function normalizeFileName(fileName) {
+  return fileName.trim().toLowerCase().replaceAll("/", "\\");
+}
+
+/**
+ * The inverse of {@link parseColorCode}.
+ *
+ * @param {number} code
+ */
+export function formatColorCode(code) {
+  if (code >= 0) {
+    return code.toString();
+  }
+
+  const [type, rgb] =
+    code >= -0x1000000 ? ["2", -1 - code] : ["3", -0x1000002 - code];
+
+  return `0x${type}${rgb.toString(16).padStart(6, "0").toUpperCase()}`;
+}
+
+/**
+ * @param {string} unparsed
+ * @param {Report} report
+ */
+function parseLineColor(unparsed, report) {
+  const color = parseColorCode(unparsed);
+
+  if (color === undefined) {
+    report("warning", `Unsupported color ${unparsed}, using current color`);
+    return Color.CURRENT_COLOR_CODE;
+  }
+
+  return color;
+}
+
 /**
  * @param {string} command
- * @param {boolean} parentInvert
+ * @param {BfcState} bfc
  * @param {FileGeometry} geometry
+ * @param {Texmap | undefined} texmap
+ * @param {Visibility} visibility
+ * @param {number} line
+ * @param {Report} report
+ * @param {RecordGeometry} record
  *
  * @returns {boolean}
  */
-function parseDrawFile(command, parentInvert, geometry) {
-  const [type, unparsedColor, ...tokens] = command.split(/\s+/);
+function parseDrawFile(
+  command,
+  bfc,
+  geometry,
+  texmap,
+  visibility,
+  line,
+  report,
+  record
+) {
+  const [type, unparsedColor = "", ...tokens] = command.split(/\s+/);
 
   if (type !== LineType.DrawFile.toString()) {
     return false;
   }
 
-  const color = Number(unparsedColor);
-
   const fileName = command.match(/^(\S+\s+){14}(?<fileName>.*)/)?.groups
     ?.fileName;
 
   if (!fileName) {
-    throw new Error(
-      `Missing filename for draw file (type 1) command: ${command}`
-    );
+    report("error", "Missing filename for draw file (type 1) command");
+    return true;
+  }
+
+  const numbers = tokens.slice(0, 12).map(Number);
+
+  if (numbers.some(Number.isNaN)) {
+    report("error", "Malformed number in draw file (type 1) command");
+    return true;
   }
 
-  const [x, y, z, a, b, c, d, e, f, g, h, i] = tokens.map(Number.parseFloat);
+  const color = parseLineColor(unparsedColor, report);
+
+  const [x, y, z, a, b, c, d, e, f, g, h, i] = numbers;
+
+  const determinant = matrix.determinant(a, b, c, d, e, f, g, h, i);
 
-  const invert = matrix.determinant(a, b, c, d, e, f, g, h, i) < 0;
+  if (determinant === 0) {
+    report("warning", `Singular matrix for ${fileName}`);
+  }
+
+  const invert = determinant < 0;
 
   /**
    * Map an LDraw matrix (where -y is out of the page)
@@ -504,71 +1775,1113 @@ function parseDrawFile(command, parentInvert, geometry) {
     fileName,
     color,
     transformation,
-    invert: parentInvert !== invert,
+    invert: bfc.invertNext !== invert,
+    clip: bfc.certified && bfc.clip,
+    texmap,
+    ...visibility,
+    line,
   };
 
-  if (fileName === "stud.dat") {
-    geometry.studs.push(args);
-  } else {
-    geometry.files.push(args);
-  }
+  const references =
+    normalizeFileName(fileName) === "stud.dat" ? "studs" : "files";
+
+  record({
+    lineType: LineType.DrawFile,
+    array: references,
+    index: geometry[references].length,
+    reversed: false,
+  });
+  geometry[references].push(args);
 
   return true;
 }
 
 /**
- * @param {string} command
- * @param {Geometry} geometry
+ * @returns {FileMetadata}
  */
-function parseGeometry(command, geometry) {
-  const tokens = command.split(/\s+/);
+function emptyMetadata() {
+  return {
+    title: undefined,
+    name: undefined,
+    author: undefined,
+    type: undefined,
+    qualifiers: [],
+    official: false,
+    update: undefined,
+    license: undefined,
+    history: [],
+    category: undefined,
+    keywords: [],
+    help: [],
+    cmdline: undefined,
+  };
+}
 
-  const type = Number(tokens[0]);
+/**
+ * The file name of the box drawn in place of subfiles that aren't loaded
+ */
+export const PLACEHOLDER_NAME = "<placeholder>";
 
-  const geometryType = GeometryMap[type];
+/**
+ * The corners of the box around stud.dat, in GPU coordinates.
+ *
+ * @type {readonly Coordinate[]}
+ */
+const STUD_CORNERS = corners({ min: [-6, -6, -4], max: [6, 6, 0] });
 
-  if (!geometryType) {
-    return false;
+/**
+ * @param {BoundingBox} boundingBox
+ *
+ * @returns {Coordinate[]}
+ */
+function corners({ min, max }) {
+  return [min[0], max[0]].flatMap((x) =>
+    [min[1], max[1]].flatMap((y) =>
+      [min[2], max[2]].map((z) => /** @type {Coordinate} */ ([x, y, z]))
+    )
+  );
+}
+
+/**
+ * Faces that meet at an edge without a line are smoothed
+ * if the angle between them is smaller than this.
+ */
+const SMOOTH_ANGLE = Math.PI / 6;
+
+/**
+ * Add a normal to each vertex of lists of triangles (x y z c),
+ * making them (x y z c nx ny nz). Faces that meet at an edge line
+ * are left sharp, and faces that meet at an optional line are smoothed,
+ * like a part's author intended.
+ *
+ * @param {number[][]} triangleLists
+ * @param {number[]} lines
+ * @param {number[]} optionalLines Points and control points (x y z c)
+ *
+ * @returns {Float32Array<ArrayBuffer>[]}
+ */
+function vertexNormals(triangleLists, lines, optionalLines) {
+  // Points only match to a hundredth of an LDU
+  /** @type {(points: number[], i: number) => string} */
+  const pointKey = (points, i) =>
+    `${Math.round((points[i] ?? 0) * 100)} ${Math.round(
+      (points[i + 1] ?? 0) * 100
+    )} ${Math.round((points[i + 2] ?? 0) * 100)}`;
+
+  /** @type {(a: string, b: string) => string} */
+  const edgeKey = (a, b) => (a < b ? `${a},${b}` : `${b},${a}`);
+
+  const hardEdges = new Set();
+  for (let i = 0; i < lines.length; i += 8) {
+    hardEdges.add(edgeKey(pointKey(lines, i), pointKey(lines, i + 4)));
+  }
+
+  const smoothEdges = new Set();
+  for (let i = 0; i < optionalLines.length; i += 16) {
+    smoothEdges.add(
+      edgeKey(pointKey(optionalLines, i), pointKey(optionalLines, i + 4))
+    );
+  }
+
+  const vertices = triangleLists.flat();
+  const cornerCount = vertices.length / 4;
+
+  // Face normals, sized by the area of the face
+  const faceNormals = new Float64Array(cornerCount);
+  for (let corner = 0; corner < cornerCount; corner += 3) {
+    const i = corner * 4;
+    const [ax = 0, ay = 0, az = 0] = vertices.slice(i, i + 3);
+    const ux = (vertices[i + 4] ?? 0) - ax;
+    const uy = (vertices[i + 5] ?? 0) - ay;
+    const uz = (vertices[i + 6] ?? 0) - az;
+    const vx = (vertices[i + 8] ?? 0) - ax;
+    const vy = (vertices[i + 9] ?? 0) - ay;
+    const vz = (vertices[i + 10] ?? 0) - az;
+
+    faceNormals[corner] = uy * vz - uz * vy;
+    faceNormals[corner + 1] = uz * vx - ux * vz;
+    faceNormals[corner + 2] = ux * vy - uy * vx;
+  }
+
+  /** @param {number} triangle */
+  const unitNormal = (triangle) => {
+    const [x = 0, y = 0, z = 0] = faceNormals.subarray(
+      triangle * 3,
+      triangle * 3 + 3
+    );
+    const length = Math.hypot(x, y, z) || 1;
+    return [x / length, y / length, z / length];
+  };
+
+  // Corners whose faces are smoothed together share a group
+  const groups = Int32Array.from({ length: cornerCount }, (_, i) => i);
+
+  /** @param {number} corner */
+  const group = (corner) => {
+    let root = corner;
+    while (groups[root] !== root) {
+      root = groups[root] ?? root;
+    }
+    groups[corner] = root;
+    return root;
+  };
+
+  /** @type {Map<string, { triangle: number; corners: Map<string, number> }[]>} */
+  const edges = new Map();
+
+  for (let triangle = 0; triangle < cornerCount / 3; triangle++) {
+    const keys = [0, 1, 2].map((j) =>
+      pointKey(vertices, (triangle * 3 + j) * 4)
+    );
+
+    for (let j = 0; j < 3; j++) {
+      const a = keys[j] ?? "";
+      const b = keys[(j + 1) % 3] ?? "";
+      const key = edgeKey(a, b);
+
+      const faces = edges.get(key) ?? [];
+      faces.push({
+        triangle,
+        corners: new Map([
+          [a, triangle * 3 + j],
+          [b, triangle * 3 + ((j + 1) % 3)],
+        ]),
+      });
+      edges.set(key, faces);
+    }
+  }
+
+  const smoothCosine = Math.cos(SMOOTH_ANGLE);
+
+  for (const [key, faces] of edges) {
+    if (hardEdges.has(key)) {
+      continue;
+    }
+
+    const threshold = smoothEdges.has(key) ? 0 : smoothCosine;
+
+    for (const [index, face] of faces.entries()) {
+      for (const other of faces.slice(index + 1)) {
+        const [x1 = 0, y1 = 0, z1 = 0] = unitNormal(face.triangle);
+        const [x2 = 0, y2 = 0, z2 = 0] = unitNormal(other.triangle);
+
+        if (x1 * x2 + y1 * y2 + z1 * z2 < threshold) {
+          continue;
+        }
+
+        for (const [point, corner] of face.corners) {
+          groups[group(corner)] = group(other.corners.get(point) ?? corner);
+        }
+      }
+    }
+  }
+
+  const sums = new Float64Array(cornerCount * 3);
+  for (let corner = 0; corner < cornerCount; corner++) {
+    const root = group(corner) * 3;
+    const face = Math.floor(corner / 3) * 3;
+    sums[root] += faceNormals[face] ?? 0;
+    sums[root + 1] += faceNormals[face + 1] ?? 0;
+    sums[root + 2] += faceNormals[face + 2] ?? 0;
   }
 
-  const [_type, color, ...points] = command.split(/\s+/).map(Number.parseFloat);
+  const normals = new Float32Array(cornerCount * 7);
+  for (let corner = 0; corner < cornerCount; corner++) {
+    const root = group(corner) * 3;
+    const [x = 0, y = 0, z = 0] = sums.subarray(root, root + 3);
+    // Degenerate faces are left without a normal
+    const length = Math.hypot(x, y, z) || Number.POSITIVE_INFINITY;
+
+    normals.set(vertices.slice(corner * 4, corner * 4 + 4), corner * 7);
+    normals.set([x / length, y / length, z / length], corner * 7 + 4);
+  }
+
+  let start = 0;
+  return triangleLists.map((triangles) => {
+    const end = start + (triangles.length / 4) * 7;
+    const list = normals.slice(start, end);
+    start = end;
+    return list;
+  });
+}
+
+/**
+ * Merge vertices that are the same, for drawing with an index buffer.
+ * Indices are 16-bit when they can be.
+ *
+ * @param {Float32Array<ArrayBuffer>} data
+ * @param {number} stride Floats per vertex
+ * @param {number} [group] How many vertices in a row are welded as one
+ *
+ * @returns {{
+ *   vertices: Float32Array<ArrayBuffer>;
+ *   indices: Uint16Array<ArrayBuffer> | Uint32Array<ArrayBuffer>;
+ * }}
+ */
+function weldVertices(data, stride, group = 1) {
+  const size = stride * group;
+  const vertexCount = data.length / stride;
+
+  /** @type {Map<string, number>} */
+  const unique = new Map();
+  const vertices = new Float32Array(data.length);
+  const indices = new Uint32Array(vertexCount);
+
+  let uniqueCount = 0;
+
+  for (let i = 0; i < data.length; i += size) {
+    const vertex = data.subarray(i, i + size);
+    const key = vertex.join(" ");
+
+    let index = unique.get(key);
+
+    if (index === undefined) {
+      index = uniqueCount++;
+      unique.set(key, index);
+      vertices.set(vertex, index * size);
+    }
+
+    for (let j = 0; j < group; j++) {
+      indices[i / stride + j] = index * group + j;
+    }
+  }
+
+  return {
+    vertices: vertices.slice(0, uniqueCount * size),
+    indices:
+      uniqueCount * group <= 0x10000 ? Uint16Array.from(indices) : indices,
+  };
+}
+
+/**
+ * The 16 floats of the matrix, the color and the culling of each instance,
+ * the way the GPU reads instance buffers. Culling is 1 if the instance's
+ * certified triangles are wound counter-clockwise, -1 if it's inverted so
+ * they're wound clockwise, and 0 if they can't be culled.
+ *
+ * @param {RenderArgs[]} instances
+ *
+ * @returns {Float32Array<ArrayBuffer>}
+ */
+function instanceData(instances) {
+  const stride = 18; // 16 matrix + 1 color + 1 culling
+  const data = new Float32Array(instances.length * stride);
+
+  for (const [i, instance] of instances.entries()) {
+    const { transformation, color, invert, clip } = instance;
+
+    data.set(transformation, i * stride);
+    data[i * stride + 16] = color;
+    data[i * stride + 17] = clip ? (invert ? -1 : 1) : 0;
+  }
+
+  return data;
+}
+
+/**
+ * The center of a box, and half the size of a cube centered on it that the
+ * box fits in however it's rotated.
+ *
+ * @param {BoundingBox | undefined} boundingBox
+ *
+ * @returns {{ viewBox: number; center: Coordinate }}
+ */
+export function frame(boundingBox) {
+  if (!boundingBox) {
+    return { viewBox: 10, center: [0, 0, 0] };
+  }
+
+  const { min, max } = boundingBox;
+
+  return {
+    viewBox: Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) / 2,
+    center: [
+      (min[0] + max[0]) / 2,
+      (min[1] + max[1]) / 2,
+      (min[2] + max[2]) / 2,
+    ],
+  };
+}
+
+/**
+ * Type 0 lines are comments unless they're a meta command we understand.
+ */
+const COMMENT = /^0(?:\s|$)/;
+
+/**
+ * Meta commands are marked with a "!", unlike plain comments.
+ */
+const META_COMMAND = /^0\s+!/;
+
+/**
+ * Lines of types 2 to 5.
+ */
+const GEOMETRY_LINE = /^[2-5]\s/;
+
+/**
+ * A line that MLCad leaves out of the model.
+ */
+const HIDDEN_LINE = /^0\s+MLCAD\s+HIDE\s+(?<command>.*)$/;
+
+/**
+ * A line that LPub only shows faded, as a reminder of earlier steps.
+ */
+const GHOST_LINE = /^0\s+GHOST\s+(?<command>.*)$/;
+
+/**
+ * Header meta commands that are never a file's title.
+ */
+const NOT_A_TITLE =
+  /^0\s+(?:!|\/\/|Name:|Author:|BFC\b|STEP\b|ROTSTEP\b|FILE\b|NOFILE\b|MLCAD\b|GHOST\b)/i;
+
+/**
+ * @param {string} command
+ * @param {FileMetadata} metadata
+ * @param {boolean} isFirstLine
+ *
+ * @returns {boolean}
+ */
+function parseMetadata(command, metadata, isFirstLine) {
+  if (isFirstLine) {
+    const title = command.match(/^0\s+(?<title>.*)$/)?.groups?.title;
+
+    if (title && !NOT_A_TITLE.test(command)) {
+      metadata.title = title;
+      return true;
+    }
+  }
+
+  const match = command.match(
+    /^0\s+(?<key>Name:|Author:|!?LDRAW_ORG|!LICENSE|!HISTORY|!CATEGORY|!KEYWORDS|!HELP|!CMDLINE)(?:\s+(?<value>.*))?$/
+  );
+
+  if (!match?.groups) {
+    return false;
+  }
+
+  const key = match.groups.key ?? "";
+  const value = match.groups.value?.trim() ?? "";
+
+  switch (key.replace(/^!/, "")) {
+    case "Name:": {
+      metadata.name = value;
+      break;
+    }
+    case "Author:": {
+      metadata.author = value;
+      break;
+    }
+    case "LDRAW_ORG": {
+      /*
+       * 0 !LDRAW_ORG <type> [qualifiers...] [UPDATE YYYY-RR | ORIGINAL]
+       */
+      const [type, ...rest] = value.split(/\s+/);
+      const updateIndex = rest.findIndex(
+        (t) => t === "UPDATE" || t === "ORIGINAL"
+      );
+
+      metadata.type = type;
+      metadata.official = !!type && !/^Unofficial_/i.test(type);
+      metadata.qualifiers =
+        updateIndex === -1 ? rest : rest.slice(0, updateIndex);
+      metadata.update =
+        updateIndex === -1
+          ? undefined
+          : rest
+              .slice(updateIndex)
+              .join(" ")
+              .replace(/^UPDATE\s+/, "");
+      break;
+    }
+    case "LICENSE": {
+      metadata.license = value;
+      break;
+    }
+    case "HISTORY": {
+      /*
+       * 0 !HISTORY YYYY-MM-DD [author] description
+       */
+      const history = value.match(
+        /^(?<date>\d{4}-\d{2}-\d{2})\s+[[{](?<author>[^\]}]*)[\]}]\s*(?<description>.*)$/
+      )?.groups;
+
+      metadata.history.push({
+        date: history?.date,
+        author: history?.author,
+        description: history?.description ?? value,
+      });
+      break;
+    }
+    case "CATEGORY": {
+      metadata.category = value;
+      break;
+    }
+    case "KEYWORDS": {
+      metadata.keywords.push(
+        ...value
+          .split(",")
+          .map((k) => k.trim())
+          .filter(Boolean)
+      );
+      break;
+    }
+    case "HELP": {
+      metadata.help.push(value);
+      break;
+    }
+    case "CMDLINE": {
+      metadata.cmdline = value;
+      break;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * @param {FileMetadata} metadata
+ *
+ * @returns {FileMetadata}
+ */
+function finalizeMetadata(metadata) {
+  metadata.category ||= titleCategory(metadata);
+
+  return metadata;
+}
+
+/**
+ * Parts without a !CATEGORY are categorized by the first word of their title.
+ *
+ * @param {FileMetadata} metadata
+ */
+function titleCategory({ type, title }) {
+  if (type && /Part$/i.test(type)) {
+    return title?.replace(/^[~_=|]+/, "").split(/\s+/)[0];
+  }
+
+  return undefined;
+}
+
+/**
+ * Mark the end of a step at the current size of each geometry list.
+ *
+ * @param {Geometry} geometry
+ * @param {FileGeometry} fileGeometry
+ * @param {StepRotation | undefined} rotation
+ *
+ * @returns {Step}
+ */
+function endStep(geometry, fileGeometry, rotation) {
+  return {
+    lines: geometry.lines.length,
+    optionalLines: geometry.optionalLines.length,
+    triangles: geometry.triangles.length,
+    twoSidedTriangles: geometry.twoSidedTriangles.length,
+    texturedTriangles: geometry.texturedTriangles.length,
+    studs: fileGeometry.studs.length,
+    files: fileGeometry.files.length,
+    rotation,
+  };
+}
+
+/**
+ * 0 ROTSTEP <x> <y> <z> [REL | ADD | ABS]
+ * 0 ROTSTEP END
+ *
+ * @param {string} command
+ *
+ * @returns {StepRotation}
+ */
+function parseRotStep(command) {
+  const [, , ...args] = command.split(/\s+/);
+
+  if (args[0]?.toUpperCase() === "END") {
+    return { angles: [0, 0, 0], mode: "END" };
+  }
+
+  const [x, y, z] = args.slice(0, 3).map((a) => Number.parseFloat(a) || 0);
+
+  const mode = args[3]?.toUpperCase();
+
+  return {
+    angles: [x ?? 0, y ?? 0, z ?? 0],
+    mode: mode === "ADD" || mode === "ABS" ? mode : "REL",
+  };
+}
+
+/**
+ * 0 BFC [CERTIFY | NOCERTIFY] [CLIP | NOCLIP] [CW | CCW] [INVERTNEXT]
+ *
+ * @param {string} command
+ * @param {BfcState} bfc
+ *
+ * @returns {boolean}
+ */
+function parseBfc(command, bfc) {
+  const [type, metaCommand, ...options] = command.toUpperCase().split(/\s+/);
+
+  if (type !== "0" || metaCommand !== "BFC") {
+    return false;
+  }
+
+  for (const option of options) {
+    switch (option) {
+      case "CERTIFY": {
+        bfc.certified = true;
+        break;
+      }
+      case "NOCERTIFY": {
+        bfc.certified = false;
+        break;
+      }
+      case "CLIP": {
+        bfc.clip = true;
+        break;
+      }
+      case "NOCLIP": {
+        bfc.clip = false;
+        break;
+      }
+      case "CW": {
+        bfc.ccw = false;
+        break;
+      }
+      case "CCW": {
+        bfc.ccw = true;
+        break;
+      }
+      case "INVERTNEXT": {
+        bfc.invertNext = true;
+        break;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * 0 MLCAD BTG <group>
+ * 0 MLCAD SKIP_BEGIN
+ * 0 MLCAD SKIP_END
+ * 0 !LDCAD GROUP_DEF [LID=<id>] [GID=<id>] [name=<group>] ...
+ * 0 !LDCAD GROUP_NXT [ids=<id> ...] ...
+ *
+ * @param {string} command
+ * @param {EditorState} editor
+ *
+ * @returns {boolean}
+ */
+function parseEditorCommand(command, editor) {
+  const [type, program, action = "", ...rest] = command.split(/\s+/);
+
+  if (type !== "0") {
+    return false;
+  }
+
+  if (program === "MLCAD") {
+    switch (action) {
+      case "BTG": {
+        const group = rest.join(" ");
+
+        if (group) {
+          editor.groups.add(group);
+          editor.nextGroups = [group];
+        }
+
+        return true;
+      }
+      case "SKIP_BEGIN": {
+        editor.skipping = true;
+        return true;
+      }
+      case "SKIP_END": {
+        editor.skipping = false;
+        return true;
+      }
+    }
+  } else if (program === "!LDCAD") {
+    /** @type {Map<string, string>} */
+    const parameters = new Map();
+
+    for (const match of command.matchAll(/\[(?<key>\w+)=(?<value>[^\]]*)\]/g)) {
+      const { key = "", value = "" } = match.groups ?? {};
+      parameters.set(key.toLowerCase(), value.trim());
+    }
+
+    switch (action) {
+      case "GROUP_DEF": {
+        const name = parameters.get("name");
+
+        if (!name) {
+          return true;
+        }
+
+        for (const id of [parameters.get("lid"), parameters.get("gid")]) {
+          if (id) {
+            editor.groupNames.set(id, name);
+          }
+        }
+
+        editor.groups.add(name);
+        return true;
+      }
+      case "GROUP_NXT": {
+        editor.nextGroups = (parameters.get("ids") ?? "")
+          .split(/\s+/)
+          .flatMap((id) => editor.groupNames.get(id) ?? []);
+
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * @param {string} command
+ * @param {BfcState} bfc
+ * @param {Geometry} geometry
+ * @param {Texmap | undefined} texmap
+ * @param {FileGeometry} fileGeometry
+ * @param {Report} report
+ * @param {RecordGeometry} record
+ */
+function parseGeometry(
+  command,
+  bfc,
+  geometry,
+  texmap,
+  fileGeometry,
+  report,
+  record
+) {
+  const tokens = command.split(/\s+/);
+
+  const type = Number(tokens[0]);
+
+  const geometryType = GeometryMap[type];
+
+  if (!geometryType) {
+    return false;
+  }
+
+  const [_type, unparsedColor = "", ...unparsedPoints] = tokens;
+
+  const expectedNumbers = PointCount[type] * 3;
+
+  if (unparsedPoints.length < expectedNumbers) {
+    report(
+      "error",
+      `Expected ${expectedNumbers} coordinates for line type ${type}, found ${unparsedPoints.length}`
+    );
+    return true;
+  }
+
+  if (unparsedPoints.length > expectedNumbers) {
+    report(
+      "warning",
+      `Ignoring ${
+        unparsedPoints.length - expectedNumbers
+      } extra tokens for line type ${type}`
+    );
+  }
+
+  const points = unparsedPoints.slice(0, expectedNumbers).map(Number);
+
+  if (points.some(Number.isNaN)) {
+    report("error", `Malformed number in line type ${type}`);
+    return true;
+  }
+
+  const color = parseLineColor(unparsedColor, report);
+
+  /** @type {Coordinate[]} */
+  let coordinates = [];
+  for (let i = 0; i < points.length; i += 3) {
+    coordinates.push([points[i], points[i + 2], points[i + 1]]);
+  }
+
+  if (type === LineType.DrawQuadrilateral) {
+    /*
+     * Convert LDraw's quadrilateral vertexes
+     * to a vertex list that can draw triangles
+     * instead of squares.
+     *
+     * 1 --> 2
+     * | \ a |
+     * |  \  |
+     * | b \ |
+     * 4 <-- 3
+     */
+    const [one, two, three, four] = coordinates;
+    coordinates = [one, two, three, three, four, one];
+  }
+
+  const array =
+    geometryType !== "triangles"
+      ? geometryType
+      : texmap
+      ? "texturedTriangles"
+      : bfc.certified && bfc.clip
+      ? "triangles"
+      : "twoSidedTriangles";
+
+  record({
+    lineType: type,
+    array,
+    index: geometry[array].length,
+    reversed: array === "triangles" && !bfc.ccw,
+  });
+
+  if (geometryType !== "triangles") {
+    addGeometryCoordinates(geometry[geometryType], coordinates, color);
+  } else if (texmap) {
+    const layer = textureLayer(fileGeometry.textures, texmap.texture);
+
+    for (const coordinate of coordinates) {
+      geometry.texturedTriangles.push(
+        ...coordinate,
+        color,
+        ...textureCoordinates(texmap, coordinate),
+        layer
+      );
+    }
+
+    for (let i = 0; i < coordinates.length; i += 3) {
+      fileGeometry.texmaps.push(texmap);
+    }
+  } else if (bfc.certified && bfc.clip) {
+    // Certified triangles are stored counter-clockwise so they can be culled
+    addGeometryCoordinates(
+      geometry.triangles,
+      bfc.ccw ? coordinates : coordinates.toReversed(),
+      color
+    );
+  } else {
+    addGeometryCoordinates(geometry.twoSidedTriangles, coordinates, color);
+  }
+
+  return true;
+}
+
+/**
+ * Geometry that is only drawn by renderers that support textures.
+ */
+const TEXMAP_GEOMETRY = /^0\s+!:\s+(?<command>.*)$/;
+
+/**
+ * A line of base64 in a !DATA block.
+ */
+const DATA_LINE = /^0\s+!:\s*(?<data>\S*)/;
+
+/**
+ * @param {string} contents The lines after 0 !DATA <name>
+ *
+ * @returns {Uint8Array<ArrayBuffer> | undefined} undefined for invalid base64
+ */
+function decodeData(contents) {
+  const base64 = contents
+    .split("\n")
+    .map((line) => line.trim().match(DATA_LINE)?.groups?.data ?? "")
+    .join("");
+
+  try {
+    return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * @param {Uint8Array} data
+ *
+ * @returns {string} The 0 !: lines of a !DATA block
+ */
+function encodeData(data) {
+  const lines = [];
+
+  // 60 bytes make 80 characters of base64, without padding
+  for (let i = 0; i < data.length; i += 60) {
+    const chunk = data.subarray(i, i + 60);
+    lines.push(`0 !: ${btoa(String.fromCharCode(...chunk))}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * 0 !TEXMAP (START | NEXT) <method> <parameters> <png> [GLOSSMAP <png>]
+ * 0 !TEXMAP FALLBACK
+ * 0 !TEXMAP END
+ *
+ * @param {string} command
+ * @param {TexmapState} state
+ *
+ * @returns {boolean}
+ */
+function parseTexmap(command, state) {
+  const [type, metaCommand, action, method, ...parameters] =
+    command.split(/\s+/);
+
+  if (type !== "0" || metaCommand !== "!TEXMAP") {
+    return false;
+  }
+
+  switch (action) {
+    case "START":
+    case "NEXT": {
+      const argumentCount = TexmapArguments[method ?? ""];
+
+      if (argumentCount == null) {
+        return true;
+      }
+
+      const numbers = parameters.slice(0, argumentCount).map(Number);
+
+      // File names may contain spaces, so take everything up to GLOSSMAP
+      const [texture = "", glossmap] = parameters
+        .slice(argumentCount)
+        .join(" ")
+        .split(/\s+GLOSSMAP\s+/);
+
+      /** @type {Coordinate[]} */
+      const points = [];
+      for (let i = 0; i < 9; i += 3) {
+        points.push([
+          numbers[i] ?? 0,
+          numbers[i + 1] ?? 0,
+          numbers[i + 2] ?? 0,
+        ]);
+      }
+
+      const [p1 = [0, 0, 0], p2 = [0, 0, 0], p3 = [0, 0, 0]] = points;
+
+      /** @type {Texmap} */
+      const texmap = {
+        method: /** @type {Texmap["method"]} */ (method),
+        points: [p1, p2, p3],
+        angles: numbers.slice(9),
+        texture: texture.trim(),
+        glossmap: glossmap?.trim(),
+      };
+
+      if (action === "START") {
+        state.current = texmap;
+        state.fallback = false;
+      } else {
+        state.next = texmap;
+      }
+
+      break;
+    }
+    case "FALLBACK": {
+      state.fallback = !!state.current;
+      break;
+    }
+    case "END": {
+      state.current = undefined;
+      state.fallback = false;
+      break;
+    }
+  }
+
+  return true;
+}
+
+/** @type {Record<string, number>} */
+const TexmapArguments = {
+  PLANAR: 9,
+  CYLINDRICAL: 10,
+  SPHERICAL: 11,
+};
+
+/**
+ * The index of a texture in a list of textures, adding it if it's new.
+ *
+ * @param {string[]} textures
+ * @param {string} texture
+ */
+function textureLayer(textures, texture) {
+  const index = textures.indexOf(texture);
+
+  if (index !== -1) {
+    return index;
+  }
+
+  return textures.push(texture) - 1;
+}
+
+/**
+ * Project a point onto a texture.
+ *
+ * (0, 0) is the top left of the image and (1, 1) the bottom right;
+ * anything outside of that isn't covered by the texture.
+ *
+ * @param {Texmap} texmap
+ * @param {Coordinate} coordinate A point in GPU coordinates
+ *
+ * @returns {[number, number]}
+ */
+function textureCoordinates({ method, points, angles }, [x, z, y]) {
+  // Texmaps are defined in LDraw coordinates
+  /** @type {Coordinate} */
+  const point = [x, y, z];
+  const [p1, p2, p3] = points;
+
+  switch (method) {
+    case "PLANAR": {
+      const toPoint = subtract(point, p1);
+      const uAxis = subtract(p2, p1);
+      const vAxis = subtract(p3, p1);
+
+      return [
+        dot(toPoint, uAxis) / dot(uAxis, uAxis),
+        dot(toPoint, vAxis) / dot(vAxis, vAxis),
+      ];
+    }
+    case "CYLINDRICAL": {
+      // p1 is the bottom center, p2 the top center,
+      // and p3 where the middle of the texture touches the bottom
+      const [sweep = 360] = angles;
+      const axis = subtract(p2, p1);
+      const height = dot(axis, axis);
+      const toPoint = subtract(point, p1);
+
+      const v = 1 - dot(toPoint, axis) / height;
+      const u =
+        0.5 +
+        signedAngle(
+          reject(subtract(p3, p1), axis),
+          reject(toPoint, axis),
+          axis
+        ) /
+          toRadians(sweep);
+
+      return [u, v];
+    }
+    case "SPHERICAL": {
+      // p1 is the center, p2 where the middle of the texture touches the
+      // sphere, and p3 is on the texture's horizontal (equatorial) plane
+      const [sweep = 360, height = 180] = angles;
+      const forward = subtract(p2, p1);
+      const up = normalize(cross(forward, subtract(p3, p1)));
+      const toPoint = normalize(subtract(point, p1));
+
+      const latitude = Math.asin(Math.max(-1, Math.min(1, dot(toPoint, up))));
+      const longitude = signedAngle(
+        reject(forward, up),
+        reject(toPoint, up),
+        up
+      );
+
+      return [
+        0.5 + longitude / toRadians(sweep),
+        0.5 - latitude / toRadians(height),
+      ];
+    }
+    default: {
+      return [0, 0];
+    }
+  }
+}
+
+/**
+ * @param {Matrix} transformation
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ *
+ * @returns {Coordinate}
+ */
+function transformPoint(transformation, x, y, z) {
+  const [a, b, c, , d, e, f, , g, h, i, , tx, ty, tz] = transformation;
+
+  return [
+    a * x + d * y + g * z + tx,
+    b * x + e * y + h * z + ty,
+    c * x + f * y + i * z + tz,
+  ];
+}
+
+/**
+ * @param {Coordinate} a
+ * @param {Coordinate} b
+ *
+ * @returns {Coordinate}
+ */
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+/**
+ * @param {Coordinate} a
+ * @param {Coordinate} b
+ */
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
 
-  /** @type {Coordinate[]} */
-  let coordinates = [];
-  for (let i = 0; i < points.length; i += 3) {
-    coordinates.push([points[i], points[i + 2], points[i + 1]]);
-  }
+/**
+ * @param {Coordinate} a
+ * @param {Coordinate} b
+ *
+ * @returns {Coordinate}
+ */
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
 
-  if (type === LineType.DrawQuadrilateral) {
-    /*
-     * Convert LDraw's quadrilateral vertexes
-     * to a vertex list that can draw triangles
-     * instead of squares.
-     *
-     * 1 --> 2
-     * | \ a |
-     * |  \  |
-     * | b \ |
-     * 4 <-- 3
-     */
-    const [one, two, three, four] = coordinates;
-    coordinates = [one, two, three, three, four, one];
-  }
+/**
+ * @param {Coordinate} a
+ *
+ * @returns {Coordinate}
+ */
+function normalize(a) {
+  const length = Math.hypot(...a) || 1;
 
-  const array = geometry[geometryType];
+  return [a[0] / length, a[1] / length, a[2] / length];
+}
 
-  addGeometryCoordinates(array, coordinates, color);
+/**
+ * The part of a vector perpendicular to an axis.
+ *
+ * @param {Coordinate} a
+ * @param {Coordinate} axis
+ *
+ * @returns {Coordinate}
+ */
+function reject(a, axis) {
+  const scale = dot(a, axis) / dot(axis, axis);
+
+  return [
+    a[0] - axis[0] * scale,
+    a[1] - axis[1] * scale,
+    a[2] - axis[2] * scale,
+  ];
+}
 
-  if (geometryType === "triangles") {
-    const invertedCoordinates = coordinates.toReversed();
-    addGeometryCoordinates(
-      geometry.invertedTriangles,
-      invertedCoordinates,
-      color
-    );
-  }
+/**
+ * The angle from one vector to another around an axis, in radians.
+ *
+ * @param {Coordinate} from
+ * @param {Coordinate} to
+ * @param {Coordinate} axis
+ */
+function signedAngle(from, to, axis) {
+  return Math.atan2(dot(cross(from, to), normalize(axis)), dot(from, to));
+}
 
-  return true;
+/**
+ * @param {number} degrees
+ */
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
 }
 
 /**
@@ -592,7 +2905,56 @@ function addGeometryCoordinates(array, coordinates, color) {
   }
 }
 
-/** @type {Record<number, Exclude<GeometryType, "studs">>} */
+/**
+ * Write a geometry line or subfile reference from what it was parsed into.
+ *
+ * @param {GeometryLine} line
+ * @param {Geometry} geometry
+ * @param {FileGeometry} fileGeometry
+ *
+ * @returns {string}
+ */
+function serializeGeometry(
+  { lineType, array, index, reversed },
+  geometry,
+  fileGeometry
+) {
+  if (array === "studs" || array === "files") {
+    const { color, transformation, fileName } = fileGeometry[array][index];
+
+    // Undo the mapping to a GPU matrix in parseDrawFile
+    const [a, g, d, , c, i, f, , b, h, e, , x, z, y] = transformation;
+
+    return `1 ${formatColorCode(
+      color
+    )} ${x} ${y} ${z} ${a} ${b} ${c} ${d} ${e} ${f} ${g} ${h} ${i} ${fileName}`;
+  }
+
+  const values = geometry[array];
+  const stride = array === "texturedTriangles" ? 7 : 4;
+
+  // Quadrilaterals were parsed into two triangles, 1 2 3 and 3 4 1
+  const isQuadrilateral = lineType === LineType.DrawQuadrilateral;
+  const vertexCount = isQuadrilateral ? 6 : PointCount[lineType] ?? 0;
+  const vertices = isQuadrilateral
+    ? [0, 1, 2, 4]
+    : [...Array(vertexCount).keys()];
+
+  const points = vertices.flatMap(function (vertex) {
+    // Clockwise triangles were stored the other way around
+    const start =
+      index + (reversed ? vertexCount - 1 - vertex : vertex) * stride;
+
+    // Undo the y/z swap
+    return [values[start], values[start + 2], values[start + 1]];
+  });
+
+  return `${lineType} ${formatColorCode(values[index + 3] ?? 0)} ${points.join(
+    " "
+  )}`;
+}
+
+/** @type {Record<number, Exclude<GeometryType, "twoSidedTriangles">>} */
 const GeometryMap = {
   [LineType.DrawLine]: "lines",
   [LineType.DrawOptionalLine]: "optionalLines",
@@ -600,6 +2962,19 @@ const GeometryMap = {
   [LineType.DrawQuadrilateral]: "triangles",
 };
 
+/**
+ * How many points each geometry line type has.
+ * Optional lines have two control points after their two end points.
+ *
+ * @type {Record<number, number>}
+ */
+const PointCount = {
+  [LineType.DrawLine]: 2,
+  [LineType.DrawOptionalLine]: 4,
+  [LineType.DrawTriangle]: 3,
+  [LineType.DrawQuadrilateral]: 4,
+};
+
 export class Color {
   static CURRENT_COLOR_CODE = 16;
 
@@ -625,13 +3000,45 @@ export class Color {
   /** @readonly @type {Rgba} */
   edge;
 
+  /** @readonly @type {Finish} */
+  finish;
+
+  /**
+   * How much light the color emits, 0-255
+   *
+   * @readonly @type {number}
+   */
+  luminance;
+
+  /** @readonly @type {Material | undefined} */
+  material;
+
+  /**
+   * The configured ALPHA, which {@link rgba} doesn't keep as is
+   *
+   * @readonly @type {number | undefined}
+   */
+  alpha;
+
   /**
    * @param {string} name
    * @param {number} code
    * @param {string | Rgba} value
    * @param {string | Rgba} [edge]
+   * @param {{
+   *   finish?: Finish;
+   *   luminance?: number;
+   *   material?: Material | undefined;
+   *   alpha?: number | undefined;
+   * }} [options]
    */
-  constructor(name, code, value, edge) {
+  constructor(
+    name,
+    code,
+    value,
+    edge,
+    { finish = "SOLID", luminance = 0, material, alpha } = {}
+  ) {
     this.name = name;
     this.code = code;
 
@@ -639,6 +3046,11 @@ export class Color {
     this.edge = Color.#toRgba(edge ?? [0, 0, 0, 0]);
 
     this.opaque = this.rgba[3] === 255;
+
+    this.finish = finish;
+    this.luminance = luminance;
+    this.material = material;
+    this.alpha = alpha;
   }
 
   /**
@@ -700,31 +3112,162 @@ export class Color {
       return undefined;
     }
 
-    const alphaParam = optional.findIndex((p) => p.toLowerCase() === "alpha");
+    const materialParam = optional.findIndex(
+      (p) => p.toUpperCase() === "MATERIAL"
+    );
+
+    // The material has its own ALPHA, which isn't the color's
+    const colorParams =
+      materialParam === -1 ? optional : optional.slice(0, materialParam);
 
-    if (alphaParam !== -1) {
-      const alpha = Number.parseInt(optional[alphaParam + 1], 10);
-      const alphaHex = alpha.toString(16);
+    const alphaParam = Color.#findParam(colorParams, "ALPHA");
+    const alpha =
+      alphaParam === undefined ? undefined : Number.parseInt(alphaParam, 10);
+
+    if (alpha !== undefined) {
+      const alphaHex = alpha.toString(16).padStart(2, "0");
       value += alphaHex;
       edge += alphaHex;
     }
 
+    const luminance = Number.parseInt(
+      Color.#findParam(colorParams, "LUMINANCE") ?? "0",
+      10
+    );
+
+    const finish =
+      Color.#FINISHES.find((finish) =>
+        colorParams.some((p) => p.toUpperCase() === finish)
+      ) ?? "SOLID";
+
     return new Color(
       name.replaceAll("_", " "),
       Number.parseInt(code, 10),
       value,
-      edge
+      edge,
+      {
+        finish,
+        luminance: Number.isNaN(luminance) ? 0 : luminance,
+        material:
+          materialParam === -1
+            ? undefined
+            : Color.#parseMaterial(optional.slice(materialParam + 1)),
+        alpha,
+      }
     );
   }
+
+  /** @type {Finish[]} */
+  static #FINISHES = [
+    "CHROME",
+    "PEARLESCENT",
+    "RUBBER",
+    "MATTE_METALLIC",
+    "METAL",
+  ];
+
+  /**
+   * @param {string[]} params
+   * @param {string} key
+   */
+  static #findParam(params, key) {
+    const index = params.findIndex((p) => p.toUpperCase() === key);
+    return index === -1 ? undefined : params[index + 1];
+  }
+
+  /**
+   * MATERIAL GLITTER VALUE <v> [ALPHA <a>] FRACTION <f> VFRACTION <vf> (SIZE <s> | MINSIZE <min> MAXSIZE <max>)
+   * MATERIAL SPECKLE VALUE <v> [ALPHA <a>] FRACTION <f> (SIZE <s> | MINSIZE <min> MAXSIZE <max>)
+   *
+   * @param {string[]} params
+   *
+   * @returns {Material | undefined}
+   */
+  static #parseMaterial(params) {
+    const type = params[0]?.toUpperCase();
+    if (type !== "GLITTER" && type !== "SPECKLE") {
+      return undefined;
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} fallback
+     */
+    const number = (key, fallback) => {
+      const value = Number.parseFloat(Color.#findParam(params, key) ?? "");
+      return Number.isNaN(value) ? fallback : value;
+    };
+
+    let value = Color.#findParam(params, "VALUE") ?? "#000000";
+    const alphaParam = Color.#findParam(params, "ALPHA");
+    const alpha =
+      alphaParam === undefined ? undefined : Number.parseInt(alphaParam, 10);
+    if (alpha !== undefined) {
+      value += alpha.toString(16).padStart(2, "0");
+    }
+
+    const size = number("SIZE", 1);
+
+    return {
+      type,
+      rgba: Color.#toRgba(value),
+      alpha,
+      fraction: number("FRACTION", 0),
+      vfraction: number("VFRACTION", 0),
+      minSize: number("MINSIZE", size),
+      maxSize: number("MAXSIZE", size),
+    };
+  }
 }
 
+/**
+ * @typedef {"SOLID" | "CHROME" | "PEARLESCENT" | "RUBBER" | "MATTE_METALLIC" | "METAL"} Finish
+ */
+
+/**
+ * @typedef {{
+ *   type: "GLITTER" | "SPECKLE";
+ *   rgba: Rgba;
+ *   alpha: number | undefined;
+ *   fraction: number;
+ *   vfraction: number;
+ *   minSize: number;
+ *   maxSize: number;
+ * }} Material
+ */
+
+/**
+ * The parts of a {@link Color} that survive being sent from a worker
+ *
+ * @typedef {Pick<
+ *   Color,
+ *   "code" | "rgba" | "edge" | "finish" | "luminance" | "material"
+ * >} ColorDefinition
+ */
+
+/**
+ * How editors show a subfile reference. Hidden parts are left out by MLCad
+ * (0 MLCAD HIDE, or between SKIP_BEGIN and SKIP_END), ghosted parts are only
+ * shown faded by LPub (0 GHOST). `groups` are the names of the MLCad (BTG)
+ * or LDCad (GROUP_NXT) groups the reference belongs to.
+ *
+ * @typedef {{
+ *   hidden: boolean;
+ *   ghost: boolean;
+ *   groups: string[];
+ * }} Visibility
+ */
+
 /**
  * @typedef {{
  *   fileName: string;
  *   color: number;
  *   transformation: Matrix;
  *   invert: boolean;
- * }} SubFileReference
+ *   clip: boolean;
+ *   texmap: Texmap | undefined;
+ *   line: number;
+ * } & Visibility} SubFileReference
  */
 
 /**
@@ -733,10 +3276,129 @@ export class Color {
  *   colors: Color[];
  *   geometry: Geometry;
  *   fileGeometry: FileGeometry;
+ *   steps: Step[];
+ *   metadata: FileMetadata;
+ *   certified: boolean;
+ *   diagnostics: Diagnostic[];
+ *   groups: string[];
+ *   sourceLines: SourceLine[];
  *   subFilesToLoad: Set<string>;
  * }} ParsedFile
  */
 
+/**
+ * A line of a file, as it was written unless it's a geometry line
+ * or subfile reference, which is written from what it was parsed into
+ *
+ * @typedef {{ text: string } | GeometryLine} SourceLine
+ */
+
+/**
+ * Where a line's geometry went: the offset of its first vertex in a
+ * {@link Geometry} array, or its index in `studs` or `files`. `prefix`
+ * is what came before the command, like `0 !: ` or `0 GHOST `.
+ * `reversed` is set for clockwise triangles, stored counter-clockwise.
+ *
+ * @typedef {{
+ *   prefix: string;
+ *   lineType: number;
+ *   array: keyof Geometry | "studs" | "files";
+ *   index: number;
+ *   reversed: boolean;
+ * }} GeometryLine
+ */
+
+/** @typedef {(line: Omit<GeometryLine, "prefix">) => void} RecordGeometry */
+
+/**
+ * A document's files, the files it needs from elsewhere,
+ * and the binary files embedded in it with !DATA. `mainBlockName` is what
+ * the main file's 0 FILE line calls it, as `files` has it by the name
+ * the document was loaded by.
+ *
+ * @typedef {{
+ *   files: Map<string, ParsedFile>;
+ *   subFilesToLoad: Set<string>;
+ *   resources: Map<string, Uint8Array<ArrayBuffer>>;
+ *   mainBlockName: string | undefined;
+ * }} ParsedDocument
+ */
+
+/**
+ * `strict` turns every warning into an error, and throws a {@link ParseError}
+ * when a file has any. `firstLine` is the line number the contents start on
+ * in the document they came from.
+ *
+ * @typedef {{
+ *   strict?: boolean;
+ *   firstLine?: number;
+ * }} ParseOptions
+ */
+
+/** @typedef {"error" | "warning"} Severity */
+
+/**
+ * A problem with a line of a file. Errors are lines that were skipped,
+ * warnings are lines that were parsed as well as possible.
+ *
+ * @typedef {{
+ *   severity: Severity;
+ *   fileName: string;
+ *   line: number;
+ *   source: string;
+ *   message: string;
+ * }} Diagnostic
+ */
+
+/** @typedef {(severity: Severity, message: string) => void} Report */
+
+/**
+ * The official LDraw header of a file.
+ *
+ * @typedef {{
+ *   title: string | undefined;
+ *   name: string | undefined;
+ *   author: string | undefined;
+ *   type: string | undefined;
+ *   qualifiers: string[];
+ *   official: boolean;
+ *   update: string | undefined;
+ *   license: string | undefined;
+ *   history: {
+ *     date: string | undefined;
+ *     author: string | undefined;
+ *     description: string;
+ *   }[];
+ *   category: string | undefined;
+ *   keywords: string[];
+ *   help: string[];
+ *   cmdline: string | undefined;
+ * }} FileMetadata
+ */
+
+/**
+ * The end of a build step, as the size of each geometry list
+ * once the step's lines have been parsed.
+ *
+ * @typedef {{
+ *   lines: number;
+ *   optionalLines: number;
+ *   triangles: number;
+ *   twoSidedTriangles: number;
+ *   texturedTriangles: number;
+ *   studs: number;
+ *   files: number;
+ *   rotation: StepRotation | undefined;
+ * }} Step
+ */
+
+/**
+ * @typedef {{
+ *   angles: Coordinate;
+ *   mode: "REL" | "ADD" | "ABS" | "END";
+ * }} StepRotation
+ */
+
 /** @typedef {[number, number, number]} Coordinate */
 
 /** @typedef {[number, number, number, number]} Rgba */
@@ -746,10 +3408,65 @@ export class Color {
  *   lines: number[];
  *   optionalLines: number[];
  *   triangles: number[];
- *   invertedTriangles: number[];
+ *   twoSidedTriangles: number[];
+ *   texturedTriangles: number[];
  * }} Geometry
  *
- * @typedef {"lines" | "optionalLines" | "triangles"} GeometryType
+ * Textured triangles are (x y z c u v layer), the rest (x y z c).
+ *
+ * @typedef {Exclude<keyof Geometry, "texturedTriangles">} GeometryType
+ */
+
+/**
+ * A texture projected onto geometry, from 0 !TEXMAP.
+ * Points are in LDraw coordinates.
+ *
+ * @typedef {{
+ *   method: "PLANAR" | "CYLINDRICAL" | "SPHERICAL";
+ *   points: [Coordinate, Coordinate, Coordinate];
+ *   angles: number[];
+ *   texture: string;
+ *   glossmap: string | undefined;
+ * }} Texmap
+ */
+
+/**
+ * @typedef {{
+ *   current: Texmap | undefined;
+ *   next: Texmap | undefined;
+ *   fallback: boolean;
+ * }} TexmapState
+ */
+
+/**
+ * A texmap inherited from a parent file while rendering.
+ *
+ * @typedef {{
+ *   texmap: Texmap;
+ *   inverse: Matrix;
+ *   layer: number;
+ * }} ProjectedTexmap
+ */
+
+/**
+ * @typedef {{
+ *   certified: boolean;
+ *   ccw: boolean;
+ *   clip: boolean;
+ *   invertNext: boolean;
+ * }} BfcState
+ */
+
+/**
+ * `groupNames` maps LDCad group ids to names, `groups` has every group name
+ * in order of definition, and `nextGroups` are the groups of the next line.
+ *
+ * @typedef {{
+ *   skipping: boolean;
+ *   groupNames: Map<string, string>;
+ *   groups: Set<string>;
+ *   nextGroups: string[];
+ * }} EditorState
  */
 
 /**
@@ -757,26 +3474,191 @@ export class Color {
  *   color: number;
  *   transformation: Matrix;
  *   invert: boolean;
+ *   clip: boolean;
  * }} RenderArgs
  */
 
 /**
+ * Hidden and ghosted parts, and parts in `hiddenGroups`,
+ * are left out unless `showHidden` or `showGhosts` is set.
+ * Files that `instance` picks are rendered once, with each use
+ * recorded as an instance instead of being added to the geometry.
+ * `placeholders` draws subfiles that aren't loaded as instances
+ * of a box named {@link PLACEHOLDER_NAME}, instead of throwing.
+ *
+ * @typedef {{
+ *   color?: number;
+ *   transformation?: Matrix;
+ *   invert?: boolean;
+ *   clip?: boolean;
+ *   texmap?: ProjectedTexmap | undefined;
+ *   step?: number;
+ *   showHidden?: boolean;
+ *   showGhosts?: boolean;
+ *   hiddenGroups?: Set<string>;
+ *   instance?: (file: File) => boolean;
+ *   placeholders?: boolean;
+ * }} RenderOptions
+ */
+
+/**
+ * `texmaps` has the texmap of each textured triangle.
+ *
  * @typedef {{
  *   studs: SubFileReference[];
  *   files: SubFileReference[];
+ *   textures: string[];
+ *   texmaps: Texmap[];
  * }} FileGeometry
  */
 
-/** @typedef {Omit<Geometry, "invertedTriangles"> & { studs: RenderArgs[] }} RenderResult */
+/**
+ * `references` are only recorded for the outermost file.
+ *
+ * @typedef {Geometry & {
+ *   studs: RenderArgs[];
+ *   steps: StepOffsets[];
+ *   textures: string[];
+ *   references: ReferenceOffsets[];
+ *   instances: Map<string, InstancedFile | undefined>;
+ * }} RenderResult
+ */
+
+/**
+ * A file drawn as instances, with its geometry rendered on its own.
+ *
+ * @typedef {{
+ *   file: File;
+ *   result: RenderResult;
+ *   instances: RenderArgs[];
+ * }} InstancedFile
+ */
+
+/**
+ * How many vertices (or stud instances) of each kind
+ * are drawn by the end of a step.
+ *
+ * @typedef {{
+ *   lines: number;
+ *   optionalLines: number;
+ *   triangles: number;
+ *   twoSidedTriangles: number;
+ *   texturedTriangles: number;
+ *   studs: number;
+ *   instances: number[];
+ * }} StepOffsets
+ */
+
+/**
+ * An axis-aligned box, in GPU coordinates.
+ *
+ * @typedef {{
+ *   min: Coordinate;
+ *   max: Coordinate;
+ * }} BoundingBox
+ */
+
+/**
+ * Where a file's geometry is in the result of rendering its parent.
+ *
+ * @typedef {{
+ *   fileName: string;
+ *   line: number;
+ *   start: StepOffsets;
+ *   end: StepOffsets;
+ * }} ReferenceOffsets
+ */
+
+/**
+ * The box around a subfile reference of the rendered file,
+ * which is a `submodel` when it isn't a part.
+ *
+ * @typedef {{
+ *   fileName: string;
+ *   line: number;
+ *   submodel: boolean;
+ *   boundingBox: BoundingBox;
+ * }} ReferenceBounds
+ */
+
+/**
+ * `weld` merges the vertices that are the same in each kind
+ * of geometry, except textured triangles, and adds indices to draw them.
+ *
+ * @typedef {Pick<
+ *   RenderOptions,
+ *   "showHidden" | "showGhosts" | "hiddenGroups" | "instance" | "placeholders"
+ * > & {
+ *   weld?: boolean;
+ * }} GeometryOptions
+ */
+
+/**
+ * Indices into welded geometry, in the order the vertices were
+ * drawn before welding, so step counts are counts of indices.
+ *
+ * @typedef {Record<
+ *   GeometryType,
+ *   Uint16Array<ArrayBuffer> | Uint32Array<ArrayBuffer>
+ * >} GeometryIndices
+ */
+
+/**
+ * A file's geometry, and the matrix, color and culling of each
+ * of its instances, laid out like `studs`.
+ *
+ * @typedef {{
+ *   geometry: PartGeometry;
+ *   instances: Float32Array<ArrayBuffer>;
+ * }} PartInstances
+ */
+
+/**
+ * A part in one color, and how many of it a model uses.
+ *
+ * @typedef {{
+ *   fileName: string;
+ *   title: string | undefined;
+ *   color: number;
+ *   quantity: number;
+ * }} PartsListEntry
+ */
+
+/**
+ * A texture image, loaded by the worker. Its index is the layer
+ * that textured triangles refer to.
+ *
+ * @typedef {{
+ *   name: string;
+ *   image: ImageBitmap | undefined;
+ * }} PartTexture
+ */
 
 /**
+ * Triangles and two-sided triangles are (x y z c nx ny nz),
+ * with a normal that's zero for degenerate triangles.
+ * Parts can come with cheaper `lowDetail` geometry from the worker,
+ * for drawing them when they're small on screen.
+ *
  * @typedef {{
  *   fileName: string;
+ *   metadata: FileMetadata;
  *   lines: Float32Array<ArrayBuffer>;
  *   optionalLines: Float32Array<ArrayBuffer>;
  *   triangles: Float32Array<ArrayBuffer>;
+ *   twoSidedTriangles: Float32Array<ArrayBuffer>;
+ *   texturedTriangles: Float32Array<ArrayBuffer>;
+ *   textures: PartTexture[];
+ *   indices: GeometryIndices | undefined;
  *   studs: Float32Array<ArrayBuffer>;
+ *   instances: PartInstances[];
+ *   steps: StepOffsets[];
  *   viewBox: number,
  *   center: [number, number, number],
+ *   diagnostics: Diagnostic[];
+ *   groups: string[];
+ *   boundingBox: BoundingBox | undefined;
+ *   references: ReferenceBounds[];
+ *   lowDetail?: PartGeometry | undefined;
  * }} PartGeometry
  */
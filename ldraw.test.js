@@ -1,3 +1,17 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CircularReferenceError,
+  Color,
+  File,
+  MultiPartDocument,
+  ParseError,
+  PLACEHOLDER_NAME,
+  normalizeFileName,
+  parseColorCode,
+} from "./ldraw.js";
+import { fromTranslation } from "./matrix.js";
+
 // import { describe, it } from "node:test";
 // import assert from "node:assert/strict";
 // import { File, Color, Colors, MultiPartDocument } from "./ldraw.js";
@@ -387,3 +401,1340 @@
 //     assert.equal(parsed, undefined);
 //   });
 // });
+
+describe("Steps", function () {
+  it("should record step boundaries", function () {
+    const file = File.from(
+      "steps.ldr",
+      `
+      2 24 0 0 0 1 0 0
+      0 STEP
+      2 24 0 0 0 0 1 0
+      0 ROTSTEP 10 20 30 ABS
+      2 24 0 0 0 0 0 1
+      `
+    );
+
+    assert.equal(file.steps.length, 3);
+    assert.deepEqual(file.steps[1]?.rotation, {
+      angles: [10, 20, 30],
+      mode: "ABS",
+    });
+  });
+
+  it("should not add an empty final step", function () {
+    const file = File.from(
+      "steps.ldr",
+      `
+      2 24 0 0 0 1 0 0
+      0 STEP
+      `
+    );
+
+    assert.equal(file.steps.length, 1);
+  });
+
+  it("should render up to a step", function () {
+    const file = File.from(
+      "steps.ldr",
+      `
+      2 4 0 0 0 1 0 0
+      0 STEP
+      2 4 0 0 0 0 1 0
+      `
+    );
+
+    const { lines } = file.render({ step: 1 });
+
+    assert.deepEqual(lines, [0, 0, 0, 4, 1, 0, 0, 4]);
+  });
+
+  it("should render subfiles whole within a step", function () {
+    const child = File.from(
+      "child.ldr",
+      `
+      2 24 0 0 0 1 0 0
+      0 STEP
+      2 24 0 0 0 0 1 0
+      `
+    );
+
+    const parent = File.from(
+      "parent.ldr",
+      `
+      1 16 0 0 0 1 0 0 0 1 0 0 0 1 child.ldr
+      0 STEP
+      2 24 0 0 0 0 0 1
+      `,
+      [child]
+    );
+
+    const { steps } = parent.geometry();
+
+    assert.deepEqual(
+      steps.map((s) => s.lines),
+      [4, 6]
+    );
+    assert.equal(parent.geometry(1).lines.length, 4 * 4);
+  });
+});
+
+describe("Metadata", function () {
+  it("should parse the file header", function () {
+    const file = File.from(
+      "3001.dat",
+      `
+      0 Brick  2 x  4
+      0 Name: 3001.dat
+      0 Author: James Jessiman
+      0 !LDRAW_ORG Part UPDATE 2004-03
+      0 !LICENSE Licensed under CC BY 4.0 : see CAreadme.txt
+      0 BFC CERTIFY CCW
+      0 !HISTORY 2002-05-07 [unknown] BFC Certification
+      0 !KEYWORDS brick, 2x4
+      0 !KEYWORDS classic
+      `
+    );
+
+    assert.equal(file.metadata.title, "Brick  2 x  4");
+    assert.equal(file.metadata.name, "3001.dat");
+    assert.equal(file.metadata.author, "James Jessiman");
+    assert.equal(file.metadata.type, "Part");
+    assert.equal(file.metadata.official, true);
+    assert.equal(file.metadata.update, "2004-03");
+    assert.equal(file.metadata.category, "Brick");
+    assert.deepEqual(file.metadata.keywords, ["brick", "2x4", "classic"]);
+    assert.deepEqual(file.metadata.history, [
+      {
+        date: "2002-05-07",
+        author: "unknown",
+        description: "BFC Certification",
+      },
+    ]);
+  });
+
+  it("should mark unofficial files", function () {
+    const file = File.from(
+      "custom.dat",
+      `
+      0 ~Custom Part
+      0 !LDRAW_ORG Unofficial_Part Alias
+      0 !CATEGORY Minifig Accessory
+      `
+    );
+
+    assert.equal(file.metadata.official, false);
+    assert.deepEqual(file.metadata.qualifiers, ["Alias"]);
+    assert.equal(file.metadata.category, "Minifig Accessory");
+  });
+});
+
+describe("BFC", function () {
+  it("should keep uncertified triangles two-sided", function () {
+    const file = File.from("test.dat", "3 16 0 0 0 1 0 0 0 1 0");
+
+    const { triangles, twoSidedTriangles } = file.render();
+
+    assert.equal(file.certified, false);
+    assert.deepEqual(triangles, []);
+    assert.deepEqual(
+      twoSidedTriangles,
+      [0, 0, 0, 16, 1, 0, 0, 16, 0, 0, 1, 16]
+    );
+  });
+
+  it("should store clockwise triangles counter-clockwise", function () {
+    const file = File.from(
+      "test.dat",
+      `
+      0 BFC CERTIFY CW
+      3 16 0 0 0 1 0 0 0 1 0
+      `
+    );
+
+    const { triangles } = file.render();
+
+    assert.equal(file.certified, true);
+    assert.deepEqual(triangles, [0, 0, 1, 16, 1, 0, 0, 16, 0, 0, 0, 16]);
+  });
+
+  it("should not cull triangles after NOCLIP", function () {
+    const file = File.from(
+      "test.dat",
+      `
+      0 BFC CERTIFY CCW
+      3 16 0 0 0 1 0 0 0 1 0
+      0 BFC NOCLIP
+      3 16 0 0 0 1 0 0 0 1 0
+      `
+    );
+
+    const { triangles, twoSidedTriangles } = file.render();
+
+    assert.equal(triangles.length, 12);
+    assert.equal(twoSidedTriangles.length, 12);
+  });
+
+  it("should handle BFC INVERTNEXT", function () {
+    const child = File.from(
+      "child.dat",
+      `
+      0 BFC CERTIFY CCW
+      3 16 0 0 0 1 0 0 0 1 0
+      `
+    );
+
+    const parent = File.from(
+      "parent.dat",
+      `
+      0 BFC CERTIFY CCW
+      0 BFC INVERTNEXT
+      1 16 0 0 0 1 0 0 0 1 0 0 0 1 child.dat
+      `,
+      [child]
+    );
+
+    const { triangles } = parent.render();
+
+    assert.deepEqual(triangles, [0, 0, 1, 16, 1, 0, 0, 16, 0, 0, 0, 16]);
+  });
+
+  it("should detect negative determinant as inverted", function () {
+    const child = File.from(
+      "child.dat",
+      `
+      0 BFC CERTIFY CCW
+      3 16 0 0 0 1 0 0 0 1 0
+      `
+    );
+
+    const parent = File.from(
+      "parent.dat",
+      `
+      0 BFC CERTIFY CCW
+      1 16 0 0 0 -1 0 0 0 1 0 0 0 1 child.dat
+      `,
+      [child]
+    );
+
+    const { triangles } = parent.render();
+
+    assert.deepEqual(triangles, [0, 0, 1, 16, -1, 0, 0, 16, 0, 0, 0, 16]);
+  });
+
+  it("should render certified subfiles of uncertified files two-sided", function () {
+    const child = File.from(
+      "child.dat",
+      `
+      0 BFC CERTIFY CCW
+      3 16 0 0 0 1 0 0 0 1 0
+      `
+    );
+
+    const parent = File.from(
+      "parent.dat",
+      "1 16 0 0 0 1 0 0 0 1 0 0 0 1 child.dat",
+      [child]
+    );
+
+    const { triangles, twoSidedTriangles } = parent.render();
+
+    assert.equal(triangles.length, 0);
+    assert.equal(twoSidedTriangles.length, 12);
+  });
+});
+
+describe("Texture mapping", function () {
+  it("should map planar textures and skip fallback geometry", function () {
+    const file = File.from(
+      "3068bp01.dat",
+      `
+      0 !TEXMAP START PLANAR 0 0 0 10 0 0 0 0 10 print.png
+      0 !: 3 16 0 0 0 10 0 0 10 0 10
+      0 !TEXMAP FALLBACK
+      3 4 0 0 0 10 0 0 10 0 10
+      0 !TEXMAP END
+      `
+    );
+
+    const { texturedTriangles, twoSidedTriangles, textures } = file.render();
+
+    assert.deepEqual(textures, ["print.png"]);
+    assert.equal(twoSidedTriangles.length, 0);
+    assert.deepEqual(
+      texturedTriangles,
+      [0, 0, 0, 16, 0, 0, 0, 10, 0, 0, 16, 1, 0, 0, 10, 10, 0, 16, 1, 1, 0]
+    );
+  });
+
+  it("should only texture the next line", function () {
+    const file = File.from(
+      "test.dat",
+      `
+      0 !TEXMAP NEXT PLANAR 0 0 0 10 0 0 0 0 10 print.png
+      3 16 0 0 0 10 0 0 10 0 10
+      3 16 0 0 0 10 0 0 10 0 10
+      `
+    );
+
+    const { texturedTriangles, twoSidedTriangles } = file.render();
+
+    assert.equal(texturedTriangles.length, 3 * 7);
+    assert.equal(twoSidedTriangles.length, 3 * 4);
+  });
+
+  it("should texture subfiles in a texmap block", function () {
+    const child = File.from("child.dat", "3 16 0 0 0 1 0 0 1 0 1");
+
+    const parent = File.from(
+      "parent.dat",
+      `
+      0 !TEXMAP START PLANAR 0 0 0 10 0 0 0 0 10 print.png
+      1 16 0 0 0 10 0 0 0 1 0 0 0 10 child.dat
+      0 !TEXMAP FALLBACK
+      0 !TEXMAP END
+      `,
+      [child]
+    );
+
+    const { texturedTriangles, textures } = parent.render({
+      transformation: fromTranslation(5, 5, 5),
+    });
+
+    assert.deepEqual(textures, ["print.png"]);
+    assert.deepEqual(
+      texturedTriangles,
+      [5, 5, 5, 16, 0, 0, 0, 15, 5, 5, 16, 1, 0, 0, 15, 15, 5, 16, 1, 1, 0]
+    );
+  });
+
+  it("should wrap cylindrical textures around their axis", function () {
+    const file = File.from(
+      "test.dat",
+      `
+      0 !TEXMAP NEXT CYLINDRICAL 0 0 0 0 -10 0 0 0 -10 180 print.png
+      3 16 0 0 -10 0 -10 -10 10 -10 0
+      `
+    );
+
+    const { texturedTriangles } = file.render();
+
+    const uvs = [0, 1, 2].map((i) =>
+      texturedTriangles.slice(i * 7 + 4, i * 7 + 6)
+    );
+
+    assert.deepEqual(uvs, [
+      [0.5, 1],
+      [0.5, 0],
+      [1, 0],
+    ]);
+  });
+});
+
+describe("Color finishes", function () {
+  it("should parse plain finishes and luminance", function () {
+    const chrome = Color.from(
+      "0 !COLOUR Chrome_Gold CODE 334 VALUE #BBA53D EDGE #BBB23D CHROME"
+    );
+    const glow = Color.from(
+      "0 !COLOUR Glow_In_Dark_Opaque CODE 21 VALUE #E0FFB0 EDGE #A4C2A6 ALPHA 250 LUMINANCE 15"
+    );
+
+    assert.equal(chrome?.finish, "CHROME");
+    assert.equal(chrome?.luminance, 0);
+    assert.equal(chrome?.material, undefined);
+
+    assert.equal(glow?.finish, "SOLID");
+    assert.equal(glow?.luminance, 15);
+    assert.deepEqual(glow?.rgba, [224, 255, 176, 255]);
+  });
+
+  it("should parse glitter and speckle materials", function () {
+    const glitter = Color.from(
+      "0 !COLOUR Glitter_Trans_Dark_Pink CODE 114 VALUE #DF6695 EDGE #9A2A66 ALPHA 128 MATERIAL GLITTER VALUE #923978 FRACTION 0.17 VFRACTION 0.2 SIZE 1"
+    );
+    const speckle = Color.from(
+      "0 !COLOUR Speckle_Black_Silver CODE 132 VALUE #000000 EDGE #595959 MATERIAL SPECKLE VALUE #595959 FRACTION 0.4 MINSIZE 1 MAXSIZE 3"
+    );
+
+    assert.deepEqual(glitter?.rgba, [223, 102, 149, 178]);
+    assert.deepEqual(glitter?.material, {
+      type: "GLITTER",
+      rgba: [146, 57, 120, 255],
+      alpha: undefined,
+      fraction: 0.17,
+      vfraction: 0.2,
+      minSize: 1,
+      maxSize: 1,
+    });
+
+    assert.deepEqual(speckle?.rgba, [0, 0, 0, 255]);
+    assert.deepEqual(speckle?.material, {
+      type: "SPECKLE",
+      rgba: [89, 89, 89, 255],
+      alpha: undefined,
+      fraction: 0.4,
+      vfraction: 0,
+      minSize: 1,
+      maxSize: 3,
+    });
+  });
+});
+
+describe("Direct colors", function () {
+  it("should encode direct colors as negative codes", function () {
+    assert.equal(parseColorCode("4"), 4);
+    assert.equal(parseColorCode("0x2FF8800"), -1 - 0xff8800);
+    assert.equal(parseColorCode("0x2000000"), -1);
+    assert.equal(parseColorCode("0x3FF8801"), -0x1000002 - 0xff8800);
+    assert.equal(parseColorCode("0x4FF8800"), undefined);
+
+    // Every encoded value has to survive the trip into a vertex buffer
+    for (const code of ["0x2FFFFFF", "0x3000000", "0x3FFFFFF"]) {
+      const encoded = Number(parseColorCode(code));
+      assert.equal(new Float32Array([encoded])[0], encoded);
+    }
+  });
+
+  it("should pass direct colors through to subfiles and geometry", function () {
+    const sub = File.from(
+      "sub.ldr",
+      `
+      2 24 0 0 0 1 0 0
+      3 16 0 0 0 1 0 0 0 0 1
+      `
+    );
+    const file = File.from(
+      "test.ldr",
+      `
+      1 0x2FF8800 0 0 0 1 0 0 0 1 0 0 0 1 sub.ldr
+      2 0x3123456 0 0 0 1 0 0
+      `,
+      [sub]
+    );
+
+    const { lines, twoSidedTriangles } = file.render();
+
+    // The file's own lines come before its subfiles
+    assert.deepEqual(
+      [lines[3], lines[7], lines[11], lines[15]],
+      [
+        -0x1000002 - 0x123456,
+        -0x1000002 - 0x123456,
+        -1 - 0xff8800,
+        -1 - 0xff8800,
+      ]
+    );
+    assert.deepEqual(
+      [twoSidedTriangles[3], twoSidedTriangles[7], twoSidedTriangles[11]],
+      [-1 - 0xff8800, -1 - 0xff8800, -1 - 0xff8800]
+    );
+  });
+});
+
+describe("Diagnostics", function () {
+  it("should report problems with the line they're on", function () {
+    const { diagnostics, geometry } = File.parse(
+      "broken.dat",
+      [
+        "0 Broken part",
+        "2 24 0 0 0 1 0",
+        "2 24 0 0 0 1 0 x",
+        "3 16 0 0 0 1 0 0 0 0 1 5",
+        "0 !UNKNOWN_META something",
+        "0 just a comment",
+        "7 16 0 0 0",
+        "1 16 0 0 0 1 0 0 0 0 0 0 0 1 flat.dat",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1",
+      ].join("\n")
+    );
+
+    assert.deepEqual(
+      diagnostics.map(({ severity, line, source }) => [severity, line, source]),
+      [
+        ["error", 2, "2 24 0 0 0 1 0"],
+        ["error", 3, "2 24 0 0 0 1 0 x"],
+        ["warning", 4, "3 16 0 0 0 1 0 0 0 0 1 5"],
+        ["warning", 5, "0 !UNKNOWN_META something"],
+        ["error", 7, "7 16 0 0 0"],
+        ["warning", 8, "1 16 0 0 0 1 0 0 0 0 0 0 0 1 flat.dat"],
+        ["error", 9, "1 16 0 0 0 1 0 0 0 1 0 0 0 1"],
+      ]
+    );
+    assert.ok(diagnostics.every((d) => d.fileName === "broken.dat"));
+
+    // Broken lines are skipped, lines with warnings are kept
+    assert.equal(geometry.lines.length, 0);
+    assert.equal(geometry.twoSidedTriangles.length, 12);
+  });
+
+  it("should throw every diagnostic as an error in strict mode", function () {
+    assert.throws(
+      () =>
+        File.parse("strict.dat", "0 !UNKNOWN_META\n2 24 0 0 0 1 0 0", {
+          strict: true,
+        }),
+      (error) => {
+        assert.ok(error instanceof ParseError);
+        assert.equal(
+          error.message,
+          "strict.dat:1: error: Unknown meta command"
+        );
+        assert.deepEqual(
+          error.diagnostics.map((d) => d.severity),
+          ["error"]
+        );
+        return true;
+      }
+    );
+  });
+
+  it("should count lines from the start of a multi-part document", function () {
+    const { files } = MultiPartDocument.parse(
+      "model.mpd",
+      [
+        "0 FILE model.ldr",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 sub.ldr",
+        "",
+        "0 FILE sub.ldr",
+        "2 24 0 0 0",
+      ].join("\n")
+    );
+
+    assert.deepEqual(files.get("model.mpd")?.diagnostics, []);
+    assert.deepEqual(
+      files.get("sub.ldr")?.diagnostics.map(({ fileName, line }) => ({
+        fileName,
+        line,
+      })),
+      [{ fileName: "sub.ldr", line: 5 }]
+    );
+  });
+
+  it("should say where a missing subfile was referenced", function () {
+    const file = File.from(
+      "model.ldr",
+      "0 Model\n1 16 0 0 0 1 0 0 0 1 0 0 0 1 missing.dat"
+    );
+
+    assert.throws(() => file.render(), {
+      message: "Missing subfile missing.dat, referenced on line 2 of model.ldr",
+    });
+  });
+});
+
+describe("Bounding boxes", function () {
+  it("should include faces without edges", function () {
+    const file = File.from("face.dat", "3 16 0 0 0 10 0 0 0 0 20");
+
+    const { boundingBox, center, viewBox } = file.geometry();
+
+    // LDraw (x y z) is (x z y) on the GPU
+    assert.deepEqual(boundingBox, { min: [0, 0, 0], max: [10, 20, 0] });
+    assert.deepEqual(center, [5, 10, 0]);
+    assert.equal(viewBox, Math.hypot(10, 20) / 2);
+  });
+
+  it("should include studs", function () {
+    const file = File.from(
+      "studs.dat",
+      "1 16 100 0 0 1 0 0 0 1 0 0 0 1 stud.dat"
+    );
+
+    assert.deepEqual(file.geometry().boundingBox, {
+      min: [94, -6, -4],
+      max: [106, 6, 0],
+    });
+  });
+
+  it("should have a box for each subfile reference", function () {
+    const part = File.from(
+      "part.dat",
+      "0 Part\n0 !LDRAW_ORG Part\n2 24 0 0 0 1 0 0"
+    );
+    const submodel = File.from(
+      "submodel.ldr",
+      "1 16 0 0 0 1 0 0 0 1 0 0 0 1 part.dat",
+      [part]
+    );
+    const model = File.from(
+      "model.ldr",
+      [
+        "1 16 10 0 0 1 0 0 0 1 0 0 0 1 part.dat",
+        "1 16 0 0 30 1 0 0 0 1 0 0 0 1 submodel.ldr",
+      ].join("\n"),
+      [part, submodel]
+    );
+
+    const { references, boundingBox } = model.geometry();
+
+    assert.deepEqual(references, [
+      {
+        fileName: "part.dat",
+        line: 1,
+        submodel: false,
+        boundingBox: { min: [10, 0, 0], max: [11, 0, 0] },
+      },
+      {
+        fileName: "submodel.ldr",
+        line: 2,
+        submodel: true,
+        boundingBox: { min: [0, 30, 0], max: [1, 30, 0] },
+      },
+    ]);
+    assert.deepEqual(boundingBox, { min: [0, 0, 0], max: [11, 30, 0] });
+  });
+
+  it("should fall back to a default view without geometry", function () {
+    const { boundingBox, viewBox } = File.from("empty.ldr", "").geometry();
+
+    assert.equal(boundingBox, undefined);
+    assert.equal(viewBox, 10);
+  });
+});
+
+describe("Instancing", function () {
+  const part = File.from(
+    "3005.dat",
+    [
+      "0 Brick  1 x  1",
+      "0 !LDRAW_ORG Part",
+      "2 24 0 0 0 1 0 0",
+      "1 16 0 0 0 1 0 0 0 1 0 0 0 1 stud.dat",
+    ].join("\n")
+  );
+
+  const model = File.from(
+    "model.ldr",
+    [
+      "1 4 10 0 0 1 0 0 0 1 0 0 0 1 3005.dat",
+      "0 STEP",
+      "1 1 20 0 0 1 0 0 0 1 0 0 0 1 3005.dat",
+      "2 24 0 0 0 0 1 0",
+    ].join("\n"),
+    [part]
+  );
+
+  it("should draw parts as instances of their geometry", function () {
+    const { lines, studs, instances, steps } = model.geometry();
+
+    // Edges take the current color, which instances replace with theirs
+    assert.deepEqual(lines, new Float32Array([0, 0, 0, 16, 0, 0, 1, 16]));
+    assert.equal(instances.length, 1);
+
+    const [instanced] = instances;
+    assert.equal(instanced?.geometry.fileName, "3005.dat");
+    assert.deepEqual(
+      instanced?.geometry.lines,
+      new Float32Array([0, 0, 0, 16, 1, 0, 0, 16])
+    );
+    assert.deepEqual(
+      instanced?.instances,
+      new Float32Array([
+        ...fromTranslation(10, 0, 0),
+        4,
+        0,
+        ...fromTranslation(20, 0, 0),
+        1,
+        0,
+      ])
+    );
+
+    // Studs of instances are drawn with the model's studs
+    assert.deepEqual(
+      [...studs].filter((_, i) => i % 18 === 16),
+      [4, 1]
+    );
+    assert.deepEqual(
+      steps.map((s) => [s.studs, s.instances]),
+      [
+        [1, [1]],
+        [2, [2]],
+      ]
+    );
+  });
+
+  it("should cull certified instances the way their references allow", function () {
+    const certified = File.from(
+      "3070.dat",
+      [
+        "0 Tile  1 x  1",
+        "0 !LDRAW_ORG Part",
+        "0 BFC CERTIFY CCW",
+        "3 16 0 0 0 1 0 0 0 0 1",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 stud.dat",
+      ].join("\n")
+    );
+
+    const { studs, instances } = File.from(
+      "model.ldr",
+      [
+        "0 BFC CERTIFY CCW",
+        "1 4 0 0 0 1 0 0 0 1 0 0 0 1 3070.dat",
+        "0 BFC INVERTNEXT",
+        "1 4 0 0 0 1 0 0 0 1 0 0 0 1 3070.dat",
+        "1 4 0 0 0 -1 0 0 0 1 0 0 0 1 3070.dat",
+        "0 BFC INVERTNEXT",
+        "1 4 0 0 0 -1 0 0 0 1 0 0 0 1 3070.dat",
+        "0 BFC NOCLIP",
+        "1 4 0 0 0 1 0 0 0 1 0 0 0 1 3070.dat",
+      ].join("\n"),
+      [certified]
+    ).geometry();
+
+    const [instanced] = instances;
+    assert.equal(instanced?.geometry.triangles.length, 3 * 7);
+    assert.equal(instanced?.geometry.twoSidedTriangles.length, 0);
+
+    const culling = [1, -1, -1, 1, 0];
+    assert.deepEqual(
+      [...(instanced?.instances ?? [])].filter((_, i) => i % 18 === 17),
+      culling
+    );
+    assert.deepEqual(
+      [...studs].filter((_, i) => i % 18 === 17),
+      culling
+    );
+
+    // A certified part in an uncertified model can't be culled
+    const uncertified = File.from(
+      "model.ldr",
+      "1 4 0 0 0 1 0 0 0 1 0 0 0 1 3070.dat",
+      [certified]
+    ).geometry();
+    assert.deepEqual(
+      [...(uncertified.instances[0]?.instances ?? [])].filter(
+        (_, i) => i % 18 === 17
+      ),
+      [0]
+    );
+  });
+
+  it("should only instance the files the policy picks", function () {
+    const { lines, instances } = model.geometry(undefined, {
+      instance: File.instanceNothing,
+    });
+
+    assert.equal(instances.length, 0);
+    assert.equal(lines.length, 3 * 4 * 2);
+  });
+
+  it("should not instance textured files", function () {
+    const textured = File.from(
+      "sticker.dat",
+      [
+        "0 Sticker",
+        "0 !LDRAW_ORG Part",
+        "0 !TEXMAP START PLANAR 0 0 0 1 0 0 0 0 1 logo.png",
+        "3 16 0 0 0 1 0 0 0 0 1",
+        "0 !TEXMAP END",
+      ].join("\n")
+    );
+
+    const { instances, texturedTriangles } = File.from(
+      "model.ldr",
+      "1 16 0 0 0 1 0 0 0 1 0 0 0 1 sticker.dat",
+      [textured]
+    ).geometry();
+
+    assert.equal(instances.length, 0);
+    assert.equal(texturedTriangles.length, 3 * 7);
+  });
+
+  it("should include instances in bounding boxes", function () {
+    const { boundingBox, references } = model.geometry();
+
+    assert.deepEqual(boundingBox, { min: [0, -6, -4], max: [26, 6, 1] });
+    assert.deepEqual(references[1]?.boundingBox, {
+      min: [14, -6, -4],
+      max: [26, 6, 0],
+    });
+  });
+});
+
+describe("Placeholders", function () {
+  const model = File.from(
+    "model.ldr",
+    [
+      "1 4 10 0 0 1 0 0 0 1 0 0 0 1 3005.dat",
+      "1 1 20 0 0 1 0 0 0 1 0 0 0 1 3001.dat",
+    ].join("\n")
+  );
+
+  it("should throw for missing subfiles by default", function () {
+    assert.throws(() => model.geometry(), {
+      message: "Missing subfile 3005.dat, referenced on line 1 of model.ldr",
+    });
+  });
+
+  it("should draw missing subfiles as instances of a box", function () {
+    const { instances, boundingBox } = model.geometry(undefined, {
+      placeholders: true,
+    });
+
+    assert.equal(instances.length, 1);
+
+    const [placeholder] = instances;
+    assert.equal(placeholder?.geometry.fileName, PLACEHOLDER_NAME);
+    assert.equal(placeholder?.geometry.lines.length, 12 * 2 * 4);
+    assert.deepEqual(
+      [...(placeholder?.instances ?? [])].filter((_, i) => i % 18 === 16),
+      [4, 1]
+    );
+
+    // Positions are (x z y) on the GPU
+    assert.deepEqual(boundingBox, { min: [0, -10, 0], max: [30, 10, 24] });
+  });
+});
+
+describe("File names", function () {
+  it("should normalize case and path separators", function () {
+    assert.equal(normalizeFileName("3001.DAT"), "3001.dat");
+    assert.equal(normalizeFileName(" S/3001s01.dat"), "s\\3001s01.dat");
+  });
+
+  it("should find subfiles however references spell them", function () {
+    const part = File.from("s\\3001s01.dat", "2 24 0 0 0 1 0 0");
+    const model = File.from(
+      "model.ldr",
+      [
+        "1 4 0 0 0 1 0 0 0 1 0 0 0 1 S/3001S01.DAT",
+        "1 4 0 0 0 1 0 0 0 1 0 0 0 1 STUD.DAT",
+      ].join("\n"),
+      [part]
+    );
+
+    assert.deepEqual(
+      File.parse("model.ldr", "1 4 0 0 0 1 0 0 0 1 0 0 0 1 S/3001S01.DAT")
+        .subFilesToLoad,
+      new Set(["s\\3001s01.dat"])
+    );
+    const geometry = model.geometry(undefined, {
+      instance: File.instanceNothing,
+    });
+    assert.equal(geometry.lines.length, 2 * 4);
+    assert.equal(geometry.studs.length, 18);
+  });
+
+  it("should match MPD files to references with other spellings", function () {
+    const contents = [
+      "0 FILE model.ldr",
+      "1 4 0 0 0 1 0 0 0 1 0 0 0 1 SUB.LDR",
+      "0 FILE Sub.ldr",
+      "2 24 0 0 0 1 0 0",
+    ].join("\n");
+
+    const { subFilesToLoad } = MultiPartDocument.parse("model.mpd", contents);
+    assert.deepEqual(subFilesToLoad, new Set());
+
+    const file = MultiPartDocument.from("model.mpd", contents);
+    assert.equal(file.subFiles.get("sub.ldr")?.name, "Sub.ldr");
+    assert.equal(file.geometry().lines.length, 2 * 4);
+  });
+});
+
+describe("Welding", function () {
+  it("should share vertices with the same position and color", function () {
+    const file = File.from(
+      "quad.dat",
+      ["4 16 0 0 0 1 0 0 1 0 1 0 0 1", "0 STEP", "2 24 0 0 0 1 0 0"].join("\n")
+    );
+
+    const {
+      twoSidedTriangles: triangles,
+      lines,
+      indices,
+      steps,
+    } = file.geometry(undefined, { weld: true });
+
+    assert.equal(triangles.length, 4 * 7);
+    assert.ok(indices?.twoSidedTriangles instanceof Uint16Array);
+
+    // Indexing the welded vertices gives back the unwelded ones
+    const unwelded = [...(indices?.twoSidedTriangles ?? [])].flatMap((i) => [
+      ...triangles.subarray(i * 7, i * 7 + 7),
+    ]);
+    assert.deepEqual(unwelded, [...file.geometry().twoSidedTriangles]);
+
+    // Lines and triangles are welded separately
+    assert.equal(lines.length, 2 * 4);
+    assert.deepEqual(
+      steps.map((s) => [s.twoSidedTriangles, s.lines]),
+      [
+        [6, 0],
+        [6, 2],
+      ]
+    );
+  });
+
+  it("should keep the ends of optional lines apart", function () {
+    const line = "5 24 0 0 0 1 0 0 0 1 0 0 -1 0";
+
+    const { optionalLines, indices } = File.from(
+      "optional.dat",
+      [line, line].join("\n")
+    ).geometry(undefined, { weld: true });
+
+    assert.equal(optionalLines.length, 2 * 16);
+    assert.deepEqual(indices?.optionalLines, new Uint16Array([0, 1, 0, 1]));
+  });
+
+  it("should leave geometry unindexed by default", function () {
+    assert.equal(File.from("empty.dat", "").geometry().indices, undefined);
+  });
+});
+
+describe("Vertex normals", function () {
+  // Two triangles folded 45° along the edge from (0 0 0) to (1 0 0)
+  const fold = ["3 16 0 0 0 1 0 0 0 0 1", "3 16 0 0 0 1 0 0 0 1 1"];
+
+  /**
+   * The normal of each of the triangles' first corner, at (0 0 0)
+   *
+   * @param {string[]} lines
+   */
+  function cornerNormals(lines) {
+    const { twoSidedTriangles } = File.from(
+      "fold.dat",
+      lines.join("\n")
+    ).geometry();
+
+    return [
+      [...twoSidedTriangles.subarray(4, 7)],
+      [...twoSidedTriangles.subarray(3 * 7 + 4, 3 * 7 + 7)],
+    ];
+  }
+
+  it("should smooth faces that meet at an optional line", function () {
+    const [a, b] = cornerNormals([...fold, "5 24 0 0 0 1 0 0 0 0 1 0 1 1"]);
+
+    assert.deepEqual(a, b);
+    assert.ok(Math.abs(Math.hypot(...(a ?? [])) - 1) < 1e-6);
+  });
+
+  it("should keep faces that meet at an edge line sharp", function () {
+    const [a, b] = cornerNormals([...fold, "2 24 0 0 0 1 0 0"]);
+
+    // Positions are (x z y) on the GPU
+    assert.deepEqual(a, [0, 0, 1]);
+    assert.notDeepEqual(a, b);
+  });
+
+  it("should smooth unmarked edges only when they're nearly flat", function () {
+    const [a, b] = cornerNormals(fold);
+    assert.notDeepEqual(a, b);
+
+    const [c, d] = cornerNormals([
+      "3 16 0 0 0 1 0 0 0 0 1",
+      "3 16 0 0 0 0 0.1 -1 1 0 0",
+    ]);
+    assert.deepEqual(c, d);
+  });
+
+  it("should only weld vertices with the same normal", function () {
+    /** @param {string[]} lines */
+    const weldedLength = (lines) =>
+      File.from("fold.dat", lines.join("\n")).geometry(undefined, {
+        weld: true,
+      }).twoSidedTriangles.length / 7;
+
+    assert.equal(weldedLength([...fold, "2 24 0 0 0 1 0 0"]), 6);
+    assert.equal(weldedLength([...fold, "5 24 0 0 0 1 0 0 0 0 1 0 1 1"]), 4);
+  });
+});
+
+describe("Parts list", function () {
+  const brick = File.from(
+    "3001.dat",
+    "0 Brick  2 x  4\n0 !LDRAW_ORG Part UPDATE 2004-03\n1 16 0 0 0 1 0 0 0 1 0 0 0 1 box.dat"
+  );
+  const box = File.from(
+    "box.dat",
+    "0 Box\n0 !LDRAW_ORG Primitive\n2 24 0 0 0 1 0 0"
+  );
+  const plate = File.from("3020.dat", "0 Plate  2 x  4\n2 24 0 0 0 1 0 0");
+
+  it("should count parts by color, through submodels", function () {
+    const wing = File.from(
+      "wing.ldr",
+      [
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 3001.dat",
+        "1 4 0 0 0 1 0 0 0 1 0 0 0 1 3020.dat",
+      ].join("\n"),
+      [brick, plate]
+    );
+
+    const model = File.from(
+      "model.ldr",
+      [
+        "1 14 0 0 0 1 0 0 0 1 0 0 0 1 wing.ldr",
+        "1 4 0 0 0 1 0 0 0 1 0 0 0 1 wing.ldr",
+        "1 4 0 0 0 1 0 0 0 1 0 0 0 1 3001.dat",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 box.dat",
+        "0 MLCAD HIDE 1 4 0 0 0 1 0 0 0 1 0 0 0 1 3001.dat",
+      ].join("\n"),
+      [brick, box, plate, wing]
+    );
+
+    assert.deepEqual(model.partsList(), [
+      { fileName: "3001.dat", title: "Brick  2 x  4", color: 14, quantity: 1 },
+      { fileName: "3020.dat", title: "Plate  2 x  4", color: 4, quantity: 2 },
+      { fileName: "3001.dat", title: "Brick  2 x  4", color: 4, quantity: 2 },
+    ]);
+    assert.equal(model.partsList({ showHidden: true }).at(-1)?.quantity, 3);
+  });
+});
+
+describe("Editor meta commands", function () {
+  const model = [
+    "1 16 0 0 0 1 0 0 0 1 0 0 0 1 brick.dat",
+    "0 MLCAD HIDE 1 16 10 0 0 1 0 0 0 1 0 0 0 1 brick.dat",
+    "0 GHOST 1 16 20 0 0 1 0 0 0 1 0 0 0 1 brick.dat",
+    "0 MLCAD SKIP_BEGIN",
+    "1 16 30 0 0 1 0 0 0 1 0 0 0 1 brick.dat",
+    "0 MLCAD SKIP_END",
+    "0 MLCAD BTG Wheels",
+    "1 16 40 0 0 1 0 0 0 1 0 0 0 1 brick.dat",
+    "0 !LDCAD GROUP_DEF [topLevel=true] [LID=7] [GID=abc] [name=Roof] [center=0 0 0]",
+    "0 !LDCAD GROUP_NXT [ids=7] [nrs=-1]",
+    "1 16 50 0 0 1 0 0 0 1 0 0 0 1 brick.dat",
+  ].join("\n");
+
+  const brick = File.from("brick.dat", "2 24 0 0 0 1 0 0");
+
+  it("should record flags and groups on subfile references", function () {
+    const { fileGeometry, groups, diagnostics } = File.parse(
+      "model.ldr",
+      model
+    );
+
+    assert.deepEqual(
+      fileGeometry.files.map(({ hidden, ghost, groups }) => ({
+        hidden,
+        ghost,
+        groups,
+      })),
+      [
+        { hidden: false, ghost: false, groups: [] },
+        { hidden: true, ghost: false, groups: [] },
+        { hidden: false, ghost: true, groups: [] },
+        { hidden: true, ghost: false, groups: [] },
+        { hidden: false, ghost: false, groups: ["Wheels"] },
+        { hidden: false, ghost: false, groups: ["Roof"] },
+      ]
+    );
+    assert.deepEqual(groups, ["Wheels", "Roof"]);
+    assert.deepEqual(diagnostics, []);
+  });
+
+  it("should skip hidden and ghosted parts when rendering", function () {
+    const file = File.from("model.ldr", model, [brick]);
+
+    /** @param {import("./ldraw.js").RenderOptions} [options] */
+    const positions = (options) =>
+      file
+        .render(options)
+        .lines.filter((_, i) => i % 8 === 0)
+        .sort((a, b) => a - b);
+
+    assert.deepEqual(positions(), [0, 40, 50]);
+    assert.deepEqual(
+      positions({ showHidden: true, showGhosts: true }),
+      [0, 10, 20, 30, 40, 50]
+    );
+    assert.deepEqual(positions({ hiddenGroups: new Set(["Wheels"]) }), [0, 50]);
+  });
+
+  it("should expose the groups of every file", function () {
+    const file = File.from(
+      "parent.ldr",
+      "0 MLCAD BTG Chassis\n1 16 0 0 0 1 0 0 0 1 0 0 0 1 model.ldr",
+      [brick, File.from("model.ldr", model, [brick])]
+    );
+
+    assert.deepEqual(file.geometry().groups, ["Chassis", "Wheels", "Roof"]);
+  });
+
+  it("should write hidden, ghosted and grouped parts back out", function () {
+    const text = File.serialize(File.parse("model.ldr", model));
+
+    assert.equal(text, model + "\n");
+  });
+});
+
+describe("Serialization", function () {
+  /**
+   * Parsed files, without the line numbers that serializing changes
+   *
+   * @param {import("./ldraw.js").ParsedFile} parsed
+   */
+  function withoutLines({ fileGeometry, diagnostics, ...parsed }) {
+    return {
+      ...parsed,
+      fileGeometry: {
+        ...fileGeometry,
+        studs: fileGeometry.studs.map(({ line, ...stud }) => stud),
+        files: fileGeometry.files.map(({ line, ...file }) => file),
+      },
+    };
+  }
+
+  it("should write LDraw coordinates and matrices", function () {
+    const contents = [
+      "0 Brick  1 x  1",
+      "0 Name: part.dat",
+      "0 BFC CERTIFY CW",
+      "2 24 1 2 3 4 5 6",
+      "3 16 1 2 3 4 5 6 7 8 9",
+      "4 16 0 0 0 1 0 0 1 1 0 0 1 0",
+      "0 BFC NOCLIP",
+      "4 16 0 0 0 0 1 0 1 1 0 1 0 0",
+      "1 0x2FF8800 1 2 3 1 2 3 4 5 6 7 8 -9 sub.dat",
+      "0 BFC INVERTNEXT",
+      "1 4 0 0 0 1 0 0 0 1 0 0 0 1 sub.dat",
+    ].join("\n");
+
+    assert.equal(
+      File.serialize(File.parse("part.dat", contents)),
+      contents + "\n"
+    );
+  });
+
+  it("should keep comments, meta commands and the order of lines", function () {
+    const contents = [
+      "0 Model",
+      "0 Name: model.ldr",
+      "",
+      "0 // Built from the top down",
+      "0 !LPUB PLI BEGIN IGN",
+      "1 16 0 0 0 1 0 0 0 1 0 0 0 1 3001.dat",
+      "0 !LPUB PLI END",
+      "2 24 0 0 0 1 0 0",
+      "3 16 0 0 0 1 0 0 0 0 1",
+      "2 24 0 0 1 1 0 1",
+      "0 STEP",
+      "0 !LDCAD GENERATED [type=flexibleHose]",
+      "0 !TEXMAP START PLANAR 0 0 0 1 0 0 0 1 0 print.png",
+      "0 !: 4 16 0 0 0 1 0 0 1 1 0 0 1 0",
+      "0 !TEXMAP FALLBACK",
+      "4 16 0 0 0 1 0 0 1 1 0 0 1 0",
+      "0 !TEXMAP END",
+      "0 GHOST 1 4 10 0 0 1 0 0 0 1 0 0 0 1 3001.dat",
+      "0 NOFILE",
+    ].join("\n");
+
+    const parsed = File.parse("model.ldr", contents);
+
+    assert.equal(File.serialize(parsed), contents + "\n");
+  });
+
+  it("should write changes to geometry and references", function () {
+    const parsed = File.parse(
+      "model.ldr",
+      [
+        "0 // Moved up",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 3001.dat",
+        "2 24 0 0 0 1 0 0",
+      ].join("\n")
+    );
+
+    const [reference] = parsed.fileGeometry.files;
+    assert.ok(reference);
+    reference.color = 4;
+    reference.transformation = [
+      1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, -24, 1,
+    ];
+    parsed.geometry.lines[3] = 15;
+
+    assert.equal(
+      File.serialize(parsed),
+      [
+        "0 // Moved up",
+        "1 4 0 -24 0 1 0 0 0 1 0 0 0 1 3001.dat",
+        "2 15 0 0 0 1 0 0",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should round trip to equivalent geometry", function () {
+    const original = File.parse(
+      "model.ldr",
+      [
+        "0 Model",
+        "0 Name: model.ldr",
+        "0 Author: Someone",
+        "0 !LDRAW_ORG Unofficial_Part Alias UPDATE 2024-01",
+        "0 !LICENSE Licensed under CC BY 4.0",
+        "0 BFC CERTIFY CW",
+        "0 !CATEGORY Brick",
+        "0 !KEYWORDS one, two",
+        "0 !HISTORY 2024-01-01 [someone] Made it",
+        "0 !COLOUR Glitter CODE 114 VALUE #DF6695 EDGE #9A2A66 ALPHA 128 MATERIAL GLITTER VALUE #923978 FRACTION 0.17 VFRACTION 0.2 SIZE 1",
+        "4 16 0 0 0 1 0 0 1 1 0 0 1 0",
+        "5 24 0 0 0 1 0 0 0 1 0 0 -1 0",
+        "0 STEP",
+        "0 BFC NOCLIP",
+        "3 0x3123456 0 0 0 1 0 0 0 0 1",
+        "0 BFC CLIP",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 stud.dat",
+        "0 ROTSTEP 0 45 0 ABS",
+        "0 !TEXMAP START PLANAR 0 0 0 1 0 0 0 1 0 print.png",
+        "3 16 0 0 0 1 0 0 1 1 0",
+        "1 16 0 0 0 -1 0 0 0 1 0 0 0 1 sub.dat",
+        "0 !TEXMAP END",
+        "0 BFC NOCLIP",
+        "0 BFC INVERTNEXT",
+        "1 4 0 0 0 1 0 0 0 1 0 0 0 1 sub.dat",
+      ].join("\n")
+    );
+
+    const roundTripped = File.parse("model.ldr", File.serialize(original));
+
+    assert.deepEqual(roundTripped.diagnostics, []);
+    assert.deepEqual(withoutLines(roundTripped), withoutLines(original));
+  });
+
+  it("should round trip multi-part documents", function () {
+    const original = MultiPartDocument.parse(
+      "model.mpd",
+      [
+        "0 FILE model.ldr",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 sub.ldr",
+        "0 FILE sub.ldr",
+        "2 24 0 0 0 1 0 0",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 3001.dat",
+      ].join("\n")
+    );
+
+    const text = MultiPartDocument.serialize("model.mpd", original);
+    const roundTripped = MultiPartDocument.parse("model.mpd", text);
+
+    assert.equal(
+      text,
+      [
+        "0 FILE model.ldr",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 sub.ldr",
+        "0 FILE sub.ldr",
+        "2 24 0 0 0 1 0 0",
+        "1 16 0 0 0 1 0 0 0 1 0 0 0 1 3001.dat",
+        "",
+      ].join("\n")
+    );
+    assert.deepEqual(roundTripped.subFilesToLoad, new Set(["3001.dat"]));
+    assert.deepEqual(
+      [...roundTripped.files.values()].map(withoutLines),
+      [...original.files.values()].map(withoutLines)
+    );
+  });
+});
+
+describe("Circular references", function () {
+  it("should reject multi-part documents whose files loop", function () {
+    assert.throws(
+      () =>
+        MultiPartDocument.from(
+          "model.mpd",
+          [
+            "0 FILE model.ldr",
+            "1 16 0 0 0 1 0 0 0 1 0 0 0 1 a.ldr",
+            "0 FILE a.ldr",
+            "1 16 0 0 0 1 0 0 0 1 0 0 0 1 b.ldr",
+            "0 FILE b.ldr",
+            "1 16 0 0 0 1 0 0 0 1 0 0 0 1 a.ldr",
+          ].join("\n")
+        ),
+      {
+        name: "CircularReferenceError",
+        message: "Circular subfile reference: a.ldr -> b.ldr -> a.ldr",
+      }
+    );
+  });
+
+  it("should stop rendering files that reference each other", function () {
+    const a = File.from("a.ldr", "1 16 0 0 0 1 0 0 0 1 0 0 0 1 b.ldr");
+    const b = File.from("b.ldr", "1 16 0 0 0 1 0 0 0 1 0 0 0 1 a.ldr", [a]);
+    a.subFiles.set("b.ldr", b);
+
+    assert.throws(
+      () => a.render(),
+      (error) => {
+        assert.ok(error instanceof CircularReferenceError);
+        assert.deepEqual(error.chain, ["a.ldr", "b.ldr", "a.ldr"]);
+        return true;
+      }
+    );
+
+    // Once the loop is broken, the failed render doesn't get in the way
+    b.subFiles.set("a.ldr", File.from("a.ldr", "2 24 0 0 0 1 0 0"));
+    assert.equal(a.render().lines.length, 8);
+  });
+});
+
+describe("Embedded data", function () {
+  const png = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+  const document = [
+    "0 FILE model.ldr",
+    "0 !TEXMAP START PLANAR 0 0 0 1 0 0 0 1 0 sticker.png",
+    "3 16 0 0 0 1 0 0 1 1 0",
+    "0 !TEXMAP END",
+    "1 16 0 0 0 1 0 0 0 1 0 0 0 1 sub.ldr",
+    "0 !DATA sticker.png",
+    "0 !: iVBORw0K",
+    "0 !: Ggo=",
+    "0 FILE sub.ldr",
+    "2 24 0 0 0",
+  ].join("\n");
+
+  it("should decode !DATA blocks instead of parsing them as files", function () {
+    const { files, resources, subFilesToLoad } = MultiPartDocument.parse(
+      "model.mpd",
+      document
+    );
+
+    assert.deepEqual([...files.keys()], ["model.mpd", "sub.ldr"]);
+    assert.deepEqual(subFilesToLoad, new Set());
+    assert.deepEqual(
+      resources,
+      new Map([["sticker.png", new Uint8Array(png)]])
+    );
+
+    assert.deepEqual(files.get("model.mpd")?.diagnostics, []);
+    // Line numbers carry on after the data
+    assert.equal(files.get("sub.ldr")?.diagnostics[0]?.line, 10);
+  });
+
+  it("should share the resources with every file of the document", function () {
+    const file = MultiPartDocument.from("model.mpd", document);
+
+    assert.deepEqual(file.resources.get("sticker.png"), new Uint8Array(png));
+    assert.equal(file.subFiles.get("sub.ldr")?.resources, file.resources);
+  });
+
+  it("should report data that isn't base64", function () {
+    const { files, resources } = MultiPartDocument.parse(
+      "model.mpd",
+      ["0 FILE model.ldr", "0 !DATA broken.png", "0 !: not*base64"].join("\n")
+    );
+
+    assert.equal(resources.size, 0);
+    assert.deepEqual(
+      files
+        .get("model.mpd")
+        ?.diagnostics.map(({ fileName, line }) => ({ fileName, line })),
+      [{ fileName: "broken.png", line: 2 }]
+    );
+  });
+
+  it("should write !DATA blocks back out", function () {
+    const original = MultiPartDocument.parse("model.mpd", document);
+    const text = MultiPartDocument.serialize("model.mpd", original);
+
+    assert.match(text, /\n0 !DATA sticker\.png\n0 !: iVBORw0KGgo=\n$/);
+    assert.deepEqual(
+      MultiPartDocument.parse("model.mpd", text).resources,
+      original.resources
+    );
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Where files are in an LDraw library, in the order to look for them.
+ * Primitives and subparts are named with the folder they're in,
+ * like `48\4-4cyli.dat`, so rules with a `prefix` replace it
+ * with their folders.
+ *
+ * @type {readonly FolderRule[]}
+ */
+export const LDRAW_FOLDERS = [
+  { prefix: "s\\", folders: ["parts/s"] },
+  { prefix: "8\\", folders: ["p/8"] },
+  { prefix: "48\\", folders: ["p/48"] },
+  { pattern: /[.](ldr|mpd)$/, folders: ["models"] },
+  { pattern: /^\d\d\d/, folders: ["parts"] },
+  { folders: ["p", "parts", "models"] },
+];
+
+/**
+ * Where textures are in an LDraw library, in the order to look for them
+ *
+ * @type {readonly string[]}
+ */
+export const LDRAW_TEXTURE_FOLDERS = [
+  "parts/textures",
+  "p/textures",
+  "textures",
+];
+
+/**
+ * The official library, served from `ldraw` next to the page
+ *
+ * @type {Library}
+ */
+export const OFFICIAL_LIBRARY = { name: "official", root: "ldraw" };
+
+/**
+ * Finds the paths a file could be at in a set of libraries.
+ * Libraries with a higher priority come first, so their files
+ * override the same files in the others, and libraries with the same
+ * priority are in the order they were given.
+ */
+export class LibraryResolver {
+  /** @type {readonly Library[]} */
+  #libraries;
+
+  /**
+   * Each library's index, from lowercase paths to how it spells them
+   *
+   * @type {Map<Library, Promise<Map<string, string>>>}
+   */
+  #indexes = new Map();
+
+  /**
+   * @param {readonly Library[]} [libraries]
+   */
+  constructor(libraries = [OFFICIAL_LIBRARY]) {
+    this.#libraries = libraries
+      .map((library, index) => ({ library, index }))
+      .sort(
+        (a, b) =>
+          (b.library.priority ?? 0) - (a.library.priority ?? 0) ||
+          a.index - b.index
+      )
+      .map(({ library }) => library);
+  }
+
+  /**
+   * What the libraries are and their `version` metadata, to know
+   * when files cached from them might be out of date
+   */
+  get version() {
+    return JSON.stringify(
+      this.#libraries.map(({ name, root, archive, metadata }) => [
+        name,
+        root,
+        archive,
+        metadata?.["version"],
+      ])
+    );
+  }
+
+  /**
+   * Whether every library has a `version` in its metadata. The files
+   * of one without it can change without anything else changing.
+   */
+  get versioned() {
+    return this.#libraries.every(
+      (library) => library.metadata?.["version"] != null
+    );
+  }
+
+  /**
+   * The libraries, highest priority first
+   */
+  get libraries() {
+    return this.#libraries;
+  }
+
+  /**
+   * @param {string} name
+   */
+  library(name) {
+    return this.#libraries.find((library) => library.name === name);
+  }
+
+  /**
+   * The libraries before a library, whose files override its files
+   *
+   * @param {string} name
+   *
+   * @returns {LibraryResolver} No libraries if there isn't one named that
+   */
+  overriding(name) {
+    const index = this.#libraries.findIndex((library) => library.name === name);
+
+    return new LibraryResolver(this.#libraries.slice(0, Math.max(index, 0)));
+  }
+
+  /**
+   * The library with an archive that a path is in, if there is one
+   *
+   * @param {string} path
+   */
+  archived(path) {
+    return this.#libraries.find(function ({ root, archive }) {
+      const folder = join(root, "");
+
+      return archive && (!folder || path.startsWith(`${folder}/`));
+    });
+  }
+
+  /**
+   * @param {string} fileName
+   *
+   * @returns {string[]} The paths to try, best first
+   */
+  paths(fileName) {
+    return this.#libraries.flatMap((library) =>
+      libraryPaths(library, fileName).map((path) => join(library.root, path))
+    );
+  }
+
+  /**
+   * The paths of a file as the libraries' indexes spell them,
+   * for hosts where paths are case sensitive. Indexes are read once,
+   * and libraries without one are skipped.
+   *
+   * @param {string} fileName
+   * @param {(index: string, paths: string[]) => Promise<string | undefined>} readIndex
+   *
+   * @returns {Promise<string[]>} The paths to try, best first
+   */
+  async indexedPaths(fileName, readIndex) {
+    const paths = await Promise.all(
+      this.#libraries.map(async (library) => {
+        const index = this.#index(library, readIndex);
+
+        if (!index) {
+          return [];
+        }
+
+        const spellings = await index;
+
+        return libraryPaths(library, fileName).flatMap(function (path) {
+          const spelling = spellings.get(path.toLowerCase());
+
+          return spelling ? [join(library.root, spelling)] : [];
+        });
+      })
+    );
+
+    return paths.flat();
+  }
+
+  /**
+   * @param {Library} library
+   * @param {(index: string, paths: string[]) => Promise<string | undefined>} readIndex
+   */
+  #index(library, readIndex) {
+    if (!library.index) {
+      return undefined;
+    }
+
+    let index = this.#indexes.get(library);
+
+    if (!index) {
+      index = readIndex(library.index, [join(library.root, library.index)])
+        .catch(() => undefined)
+        .then(
+          (contents) =>
+            new Map(
+              (contents ?? "")
+                .split(/\r?\n/)
+                .map((line) => line.trim().replaceAll("\\", "/"))
+                .filter((line) => line)
+                .map((line) => [line.toLowerCase(), line])
+            )
+        );
+
+      this.#indexes.set(library, index);
+    }
+
+    return index;
+  }
+
+  /**
+   * @param {string} fileName
+   *
+   * @returns {string[]} The paths to try, best first
+   */
+  texturePaths(fileName) {
+    return this.#libraries.flatMap((library) =>
+      (library.textureFolders ?? LDRAW_TEXTURE_FOLDERS).map((folder) =>
+        join(library.root, `${folder}/${fileName}`)
+      )
+    );
+  }
+}
+
+/**
+ * @param {Library} library
+ * @param {string} fileName
+ *
+ * @returns {string[]} The paths of a file in the library,
+ *   relative to its root
+ */
+function libraryPaths(library, fileName) {
+  const rule = (library.folders ?? LDRAW_FOLDERS).find((rule) =>
+    matches(rule, fileName)
+  );
+
+  if (!rule) {
+    return [];
+  }
+
+  const name = rule.prefix ? fileName.slice(rule.prefix.length) : fileName;
+
+  return rule.folders.map((folder) =>
+    `${folder}/${name}`.replaceAll("\\", "/")
+  );
+}
+
+/**
+ * @param {FolderRule} rule
+ * @param {string} fileName
+ */
+function matches({ prefix, pattern }, fileName) {
+  return (
+    (prefix == null || fileName.startsWith(prefix)) &&
+    (pattern == null || pattern.test(fileName))
+  );
+}
+
+/**
+ * @param {string} root
+ * @param {string} path
+ */
+function join(root, path) {
+  return [root.replace(/\/+$/, ""), path.replaceAll("\\", "/")]
+    .filter((part) => part)
+    .join("/");
+}
+
+/**
+ * A folder of LDraw files, like the official library, the unofficial
+ * parts, or a company's own parts. The root is a URL or a directory,
+ * whatever loading files takes. `metadata` is anything else
+ * to know about the library, like its version. Parts' geometry is only
+ * cached from one page load to the next if every library has a `version`,
+ * to change whenever its files do.
+ *
+ * Files are looked for by their lowercase names, like the official library
+ * spells them. Libraries on hosts with case sensitive paths that spell
+ * them otherwise can have an `index`, a file listing their files'
+ * paths relative to the root, one on each line.
+ *
+ * Libraries can be a zip `archive`, like complete.zip, instead
+ * of loose files. Their root is then the folder they're in inside
+ * the archive, like `ldraw`, and their files are read from it.
+ *
+ * @typedef {{
+ *   name: string;
+ *   root: string;
+ *   index?: string;
+ *   archive?: string;
+ *   priority?: number;
+ *   folders?: readonly FolderRule[];
+ *   textureFolders?: readonly string[];
+ *   metadata?: Record<string, string>;
+ * }} Library
+ */
+
+/**
+ * The folders to look for files in, if their names start with `prefix`
+ * and match `pattern`. The first rule a file matches is used.
+ *
+ * @typedef {{
+ *   prefix?: string;
+ *   pattern?: RegExp;
+ *   folders: string[];
+ * }} FolderRule
+ */
@@ -0,0 +1,111 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { LibraryResolver } from "./library-resolver.js";
+
+describe("LibraryResolver", function () {
+  it("should look in the official library by default", function () {
+    const resolver = new LibraryResolver();
+
+    assert.deepEqual(resolver.paths("3001.dat"), ["ldraw/parts/3001.dat"]);
+    assert.deepEqual(resolver.paths("s\\3001s01.dat"), [
+      "ldraw/parts/s/3001s01.dat",
+    ]);
+    assert.deepEqual(resolver.paths("48\\4-4cyli.dat"), [
+      "ldraw/p/48/4-4cyli.dat",
+    ]);
+    assert.deepEqual(resolver.paths("car.mpd"), ["ldraw/models/car.mpd"]);
+    assert.deepEqual(resolver.paths("stud.dat"), [
+      "ldraw/p/stud.dat",
+      "ldraw/parts/stud.dat",
+      "ldraw/models/stud.dat",
+    ]);
+    assert.deepEqual(resolver.texturePaths("sticker.png"), [
+      "ldraw/parts/textures/sticker.png",
+      "ldraw/p/textures/sticker.png",
+      "ldraw/textures/sticker.png",
+    ]);
+  });
+
+  it("should order libraries by priority, then as given", function () {
+    const resolver = new LibraryResolver([
+      { name: "official", root: "https://example.com/ldraw/" },
+      { name: "unofficial", root: "https://example.com/unofficial" },
+      { name: "custom", root: "/parts/custom", priority: 1 },
+    ]);
+
+    assert.deepEqual(
+      resolver.libraries.map((library) => library.name),
+      ["custom", "official", "unofficial"]
+    );
+    assert.deepEqual(resolver.paths("3001.dat"), [
+      "/parts/custom/parts/3001.dat",
+      "https://example.com/ldraw/parts/3001.dat",
+      "https://example.com/unofficial/parts/3001.dat",
+    ]);
+  });
+
+  it("should only be versioned if every library has a version", function () {
+    const official = {
+      name: "official",
+      root: "ldraw",
+      metadata: { version: "2024-02" },
+    };
+
+    assert.equal(new LibraryResolver([official]).versioned, true);
+    assert.equal(
+      new LibraryResolver([official, { name: "custom", root: "custom" }])
+        .versioned,
+      false
+    );
+    assert.equal(new LibraryResolver().versioned, false);
+  });
+
+  it("should find the libraries that override another", function () {
+    const resolver = new LibraryResolver([
+      { name: "official", root: "ldraw" },
+      { name: "unofficial", root: "unofficial" },
+      { name: "custom", root: "custom", priority: 1 },
+    ]);
+
+    assert.deepEqual(
+      resolver.overriding("unofficial").libraries.map(({ name }) => name),
+      ["custom", "official"]
+    );
+    assert.deepEqual(resolver.overriding("custom").libraries, []);
+    assert.deepEqual(resolver.overriding("missing").libraries, []);
+  });
+
+  it("should find the archive a path is in", function () {
+    const resolver = new LibraryResolver([
+      { name: "custom", root: "custom" },
+      { name: "official", root: "ldraw", archive: "complete.zip" },
+    ]);
+
+    assert.equal(
+      resolver.archived("ldraw/parts/3001.dat")?.archive,
+      "complete.zip"
+    );
+    assert.equal(resolver.archived("custom/parts/3001.dat"), undefined);
+  });
+
+  it("should use a library's own folders", function () {
+    const resolver = new LibraryResolver([
+      {
+        name: "flat",
+        root: "",
+        folders: [
+          { prefix: "s\\", folders: ["subparts"] },
+          { pattern: /[.]dat$/, folders: ["dat"] },
+        ],
+        metadata: { version: "2024-01" },
+      },
+    ]);
+
+    assert.deepEqual(resolver.paths("s\\3001s01.dat"), [
+      "subparts/3001s01.dat",
+    ]);
+    assert.deepEqual(resolver.paths("3001.dat"), ["dat/3001.dat"]);
+    assert.deepEqual(resolver.paths("car.ldr"), []);
+    assert.equal(resolver.library("flat")?.metadata?.["version"], "2024-01");
+  });
+});
@@ -0,0 +1,125 @@
+/** @import { FileContentsCache } from "./file-loader.js" */
+import { normalizeFileName } from "./ldraw.js";
+import { ZipArchive } from "./zip-archive.js";
+
+/**
+ * The folders of the library that files are named without
+ */
+const LIBRARY_FOLDERS = new Set(["parts", "p", "models"]);
+
+/**
+ * Put the files of an official update, like lcad2401.zip, in the cache,
+ * unless the cache has newer versions of them. The update is the newest
+ * `UPDATE` of its files' `!LDRAW_ORG` headers.
+ *
+ * The cache holds files by name, whatever library they're from, so files
+ * that libraries before the official one have are left alone. Their files
+ * usually have no `UPDATE` to compare with.
+ *
+ * @param {Blob} archive
+ * @param {FileContentsCache} cache
+ * @param {(fileName: string) => Promise<boolean>} [isOverridden] Whether
+ *   a library before the official one has a file
+ *
+ * @returns {Promise<LibraryUpdate>}
+ */
+export async function applyUpdate(
+  archive,
+  cache,
+  isOverridden = async () => false
+) {
+  const zip = await ZipArchive.from(archive);
+
+  /** @type {string | undefined} */
+  let update;
+
+  /** @type {string[]} */
+  const files = [];
+
+  for (const path of zip.paths) {
+    const fileName = libraryFileName(path);
+
+    if (!fileName) {
+      continue;
+    }
+
+    const contents = await (await zip.read(path))?.text();
+
+    if (!contents) {
+      continue;
+    }
+
+    const fileUpdate = libraryUpdate(contents);
+
+    if (fileUpdate && (!update || fileUpdate > update)) {
+      update = fileUpdate;
+    }
+
+    const cached = await cache.get(fileName);
+    const cachedUpdate = cached && libraryUpdate(cached);
+
+    if (cachedUpdate && fileUpdate && cachedUpdate > fileUpdate) {
+      continue;
+    }
+
+    if (await isOverridden(fileName)) {
+      continue;
+    }
+
+    await cache.set(fileName, contents);
+    files.push(fileName);
+  }
+
+  return { update, files };
+}
+
+/**
+ * The name of a library file from its path in an update,
+ * like `s\3001s01.dat` for `ldraw/parts/s/3001s01.dat`
+ *
+ * @param {string} path
+ *
+ * @returns {string | undefined} undefined for files that aren't parts,
+ *   primitives or models, like textures
+ */
+function libraryFileName(path) {
+  const folders = path.split("/");
+
+  if (folders[0]?.toLowerCase() === "ldraw") {
+    folders.shift();
+  }
+
+  if (LIBRARY_FOLDERS.has(folders[0]?.toLowerCase() ?? "")) {
+    folders.shift();
+  }
+
+  const fileName = folders.join("\\");
+
+  return /[.](dat|ldr|mpd)$/i.test(fileName)
+    ? normalizeFileName(fileName)
+    : undefined;
+}
+
+/**
+ * @param {string} contents
+ *
+ * @returns {string | undefined} The `YYYY-RR` update of the file,
+ *   `0000-00` if it's original, so updates sort in order
+ */
+function libraryUpdate(contents) {
+  const header = contents.match(
+    /^\s*0\s+!?LDRAW_ORG\s.*?\b(?:UPDATE\s+(?<update>\d{4}-\d{2})|ORIGINAL)/m
+  );
+
+  return header ? header.groups?.["update"] ?? "0000-00" : undefined;
+}
+
+/**
+ * The newest update of the files in an update archive,
+ * and the files it put in the cache
+ *
+ * @typedef {{
+ *   update: string | undefined;
+ *   files: string[];
+ * }} LibraryUpdate
+ */
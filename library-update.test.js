@@ -0,0 +1,89 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { applyUpdate } from "./library-update.js";
+import { zip } from "./zip-fixture.js";
+
+describe("Library updates", function () {
+  /**
+   * @param {Record<string, string>} files
+   */
+  function cache(files) {
+    return {
+      files,
+      /** @param {string} fileName */
+      async get(fileName) {
+        return files[fileName];
+      },
+      /**
+       * @param {string} fileName
+       * @param {string} contents
+       */
+      async set(fileName, contents) {
+        files[fileName] = contents;
+      },
+    };
+  }
+
+  const archive = zip([
+    [
+      "ldraw/parts/3001.dat",
+      "0 Brick  2 x  4\n0 !LDRAW_ORG Part UPDATE 2024-02",
+      8,
+    ],
+    [
+      "ldraw/parts/s/3001s01.dat",
+      "0 ~Brick  2 x  4 without Front Face\n0 !LDRAW_ORG Subpart UPDATE 2024-01",
+      8,
+    ],
+    [
+      "ldraw/p/48/4-4cyli.dat",
+      "0 Hi-Res Cylinder\n0 !LDRAW_ORG Primitive UPDATE 2024-02",
+      8,
+    ],
+    ["ldraw/parts/textures/sticker.png", "", 0],
+  ]);
+
+  it("should cache the files of an update under their names", async function () {
+    const files = cache({});
+    const update = await applyUpdate(archive, files);
+
+    assert.equal(update.update, "2024-02");
+    assert.deepEqual(Object.keys(files.files).sort(), [
+      "3001.dat",
+      "48\\4-4cyli.dat",
+      "s\\3001s01.dat",
+    ]);
+  });
+
+  it("should replace older files, but not newer ones", async function () {
+    const files = cache({
+      "3001.dat": "0 Old Brick\n0 !LDRAW_ORG Part ORIGINAL",
+      "s\\3001s01.dat": "0 Newer Subpart\n0 !LDRAW_ORG Subpart UPDATE 2024-03",
+    });
+
+    const update = await applyUpdate(archive, files);
+
+    assert.deepEqual(update.files.sort(), ["3001.dat", "48\\4-4cyli.dat"]);
+    assert.match(files.files["3001.dat"] ?? "", /UPDATE 2024-02/);
+    assert.match(files.files["s\\3001s01.dat"] ?? "", /Newer Subpart/);
+  });
+
+  it("should leave files that other libraries override", async function () {
+    const files = cache({
+      "3001.dat": "0 Custom Brick\n1 4 0 0 0 1 0 0 0 1 0 0 0 1 stud.dat",
+    });
+
+    const update = await applyUpdate(
+      archive,
+      files,
+      async (fileName) => fileName === "3001.dat"
+    );
+
+    assert.equal(update.update, "2024-02");
+    assert.deepEqual(update.files.sort(), [
+      "48\\4-4cyli.dat",
+      "s\\3001s01.dat",
+    ]);
+    assert.match(files.files["3001.dat"] ?? "", /Custom Brick/);
+  });
+});
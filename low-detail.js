@@ -0,0 +1,54 @@
+/** @import { PartGeometry } from "./ldraw.js" */
+/** @import { FileLoader, SubstitutionPolicy } from "./file-loader.js" */
+import { File, PLACEHOLDER_NAME } from "./ldraw.js";
+
+/**
+ * How parts' low detail geometry is loaded
+ *
+ * @type {SubstitutionPolicy}
+ */
+export const LOW_DETAIL = { primitiveQuality: "low", logoStuds: false };
+
+/**
+ * Give parts geometry with low resolution primitives and plain studs,
+ * for drawing them when they're small on screen. Parts it isn't
+ * any cheaper for get an undefined `lowDetail`, and parts that
+ * already have one are skipped.
+ *
+ * @param {PartGeometry[]} parts
+ * @param {FileLoader} loader A loader with the `LOW_DETAIL` policy
+ */
+export async function addLowDetail(parts, loader) {
+  await Promise.all(
+    parts
+      .filter(
+        (part) => part.fileName !== PLACEHOLDER_NAME && !("lowDetail" in part)
+      )
+      .map(async function (part) {
+        try {
+          const file = await loader.load(part.fileName);
+          const lowDetail = file?.geometry(undefined, {
+            weld: true,
+            instance: File.instanceNothing,
+          });
+
+          part.lowDetail =
+            lowDetail && triangleCount(lowDetail) < triangleCount(part)
+              ? lowDetail
+              : undefined;
+        } catch (e) {
+          // The part is drawn in full detail instead
+          console.warn(e);
+        }
+      })
+  );
+}
+
+/**
+ * @param {PartGeometry} geometry
+ */
+function triangleCount({ indices, triangles, twoSidedTriangles }) {
+  return indices
+    ? indices.triangles.length + indices.twoSidedTriangles.length
+    : (triangles.length + twoSidedTriangles.length) / 7;
+}
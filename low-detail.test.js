@@ -0,0 +1,106 @@
+/** @import { SubstitutionPolicy } from "./file-loader.js" */
+/** @import { PartGeometry } from "./ldraw.js" */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { FileLoader } from "./file-loader.js";
+import { File, PLACEHOLDER_NAME } from "./ldraw.js";
+import { LOW_DETAIL, addLowDetail } from "./low-detail.js";
+
+describe("Low detail", function () {
+  /**
+   * @param {number} count
+   */
+  function triangles(count) {
+    return Array.from(
+      { length: count },
+      (_, i) => `3 16 ${i} 0 0 ${i + 1} 0 0 ${i} 0 1`
+    );
+  }
+
+  /** @type {Record<string, string>} */
+  const files = {
+    "ldraw/p/4-4cyli.dat": ["0 Cylinder", ...triangles(16)].join("\n"),
+    "ldraw/p/8/4-4cyli.dat": ["0 Lo-Res Cylinder", ...triangles(8)].join("\n"),
+    "ldraw/parts/3062.dat": [
+      "0 Brick  1 x  1 Round",
+      "0 !LDRAW_ORG Part",
+      "1 16 0 0 0 1 0 0 0 1 0 0 0 1 4-4cyli.dat",
+    ].join("\n"),
+    "ldraw/parts/3005.dat": [
+      "0 Brick  1 x  1",
+      "0 !LDRAW_ORG Part",
+      ...triangles(12),
+    ].join("\n"),
+  };
+
+  /**
+   * @param {SubstitutionPolicy} [policy]
+   */
+  function loaderFor(policy) {
+    return new FileLoader(
+      async (_fileName, paths) =>
+        paths.map((path) => files[path]).find((contents) => contents),
+      undefined,
+      undefined,
+      {},
+      policy
+    );
+  }
+
+  /**
+   * The parts of a model, the way the worker sends them
+   *
+   * @returns {Promise<Record<string, PartGeometry>>}
+   */
+  async function parts() {
+    const loader = loaderFor();
+    const model = File.from(
+      "model.ldr",
+      [
+        "1 4 0 0 0 1 0 0 0 1 0 0 0 1 3062.dat",
+        "1 4 20 0 0 1 0 0 0 1 0 0 0 1 3005.dat",
+        "1 4 40 0 0 1 0 0 0 1 0 0 0 1 3001.dat",
+      ].join("\n"),
+      [await loader.load("3062.dat"), await loader.load("3005.dat")]
+    );
+
+    return Object.fromEntries(
+      model
+        .geometry(undefined, { weld: true, placeholders: true })
+        .instances.map(({ geometry }) => [geometry.fileName, geometry])
+    );
+  }
+
+  it("should give parts with low resolution primitives cheaper geometry", async function () {
+    const { "3062.dat": round } = await parts();
+
+    assert.ok(round);
+    await addLowDetail([round], loaderFor(LOW_DETAIL));
+
+    assert.equal(round.lowDetail?.fileName, "3062.dat");
+    assert.equal(round.indices?.twoSidedTriangles.length, 16 * 3);
+    assert.equal(round.lowDetail.indices?.twoSidedTriangles.length, 8 * 3);
+  });
+
+  it("should leave parts it isn't cheaper for in full detail", async function () {
+    const { "3005.dat": brick } = await parts();
+
+    assert.ok(brick);
+    await addLowDetail([brick], loaderFor(LOW_DETAIL));
+
+    assert.ok("lowDetail" in brick);
+    assert.equal(brick.lowDetail, undefined);
+  });
+
+  it("should skip placeholders and parts that already have it", async function () {
+    const { [PLACEHOLDER_NAME]: placeholder, "3062.dat": round } =
+      await parts();
+
+    assert.ok(placeholder && round);
+    round.lowDetail = undefined;
+    await addLowDetail([placeholder, round], loaderFor(LOW_DETAIL));
+
+    assert.equal("lowDetail" in placeholder, false);
+    assert.equal(round.lowDetail, undefined);
+  });
+});
@@ -1,6 +1,8 @@
-/** @import { PartGeometry } from "./ldraw.js" */
+/** @import { BoundingBox, PartGeometry } from "./ldraw.js" */
 /** @import { Color } from "./ldraw.js" */
 /** @import { Loader } from "./part-loader-worker.js" */
+/** @import { LoadProgress, SubstitutionPolicy } from "./file-loader.js" */
+import { frame } from "./ldraw.js";
 import * as matrix from "./matrix.js";
 import { Transformation } from "./transformation.js";
 
@@ -14,49 +16,85 @@ export class Model {
   /** @readonly */
   geometry;
 
+  /**
+   * The primitives the model was loaded with
+   *
+   * @readonly
+   */
+  policy;
+
   /**
    * @param {string} fileName
    * @param {PartGeometry} geometry
    * @param {Color} color
+   * @param {SubstitutionPolicy} [policy]
    */
-  constructor(fileName, geometry, color) {
+  constructor(fileName, geometry, color, policy) {
     this.fileName = fileName;
 
     this.geometry = geometry;
 
     this.color = color;
+
+    this.policy = policy;
   }
 
   /**
    * @param {string} fileName
    * @param {Color} color
+   * @param {SubstitutionPolicy} [policy]
    */
-  static async for(fileName, color) {
-    const geometry = await Model.loader.loadPartGeometry(fileName);
+  static async for(fileName, color, policy) {
+    const geometry = await Model.loader.loadPartGeometry(fileName, policy);
+
+    return new Model(fileName, geometry, color, policy);
+  }
 
-    return new Model(fileName, geometry, color);
+  /**
+   * The model each time more of it loads, ending with all of it.
+   *
+   * @param {string} fileName
+   * @param {Color} color
+   * @param {SubstitutionPolicy} [policy]
+   *
+   * @returns {AsyncGenerator<LoadProgress & { model: Model }>}
+   */
+  static async *stream(fileName, color, policy) {
+    for await (const {
+      geometry,
+      loaded,
+      total,
+    } of Model.loader.streamPartGeometry(fileName, policy)) {
+      yield {
+        model: new Model(fileName, geometry, color, policy),
+        loaded,
+        total,
+      };
+    }
   }
 
   /**
    * @param {Transformation} transformation
+   * @param {BoundingBox} [boundingBox] The part of the model to fit in view,
+   *   like a box from `geometry.references`
    */
-  matrix(transformation) {
+  matrix(transformation, boundingBox) {
+    const { viewBox, center } = boundingBox
+      ? frame(boundingBox)
+      : this.geometry;
+
     return matrix.transform(
       [
         matrix.orthographic(
-          -this.geometry.viewBox,
-          this.geometry.viewBox,
-          -this.geometry.viewBox,
-          this.geometry.viewBox,
-          -(this.geometry.viewBox * 5),
-          this.geometry.viewBox * 5
+          -viewBox,
+          viewBox,
+          -viewBox,
+          viewBox,
+          -(viewBox * 5),
+          viewBox * 5
         ),
         transformation.matrix,
-        matrix.fromTranslation(
-          -this.geometry.center[0],
-          -this.geometry.center[1],
-          -this.geometry.center[2]
-        ),
+        matrix.fromTranslation(-center[0], -center[1], -center[2]),
       ],
       matrix.identity
     );
@@ -1,7 +1,12 @@
 /** @import { FileContentsCache } from "./file-loader.js" */
+/** @import { ArchiveCache } from "./zip-archive.js" */
+/** @import { CachedGeometry, GeometryCache } from "./geometry-store.js" */
+import { normalizeFileName } from "./ldraw.js";
 
 /**
  * @implements {FileContentsCache}
+ * @implements {ArchiveCache}
+ * @implements {GeometryCache}
  */
 export class PartDb {
   /**
@@ -12,11 +17,16 @@ export class PartDb {
   }
 
   static async open(indexedDB = globalThis.indexedDB) {
-    const openRequest = indexedDB.open("parts", 1);
+    const openRequest = indexedDB.open("parts", 4);
 
     openRequest.addEventListener("upgradeneeded", function () {
       const db = openRequest.result;
-      db.createObjectStore("ldraw");
+
+      for (const name of ["ldraw", "archives", "metadata", "geometry"]) {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name);
+        }
+      }
     });
 
     const openPromise = new Promise(function (resolve, reject) {
@@ -34,7 +44,9 @@ export class PartDb {
    * @param {string} fileName
    */
   get(fileName) {
-    return this.#getFromStore("ldraw", fileName);
+    return /** @type {Promise<string | undefined>} */ (
+      this.#getFromStore("ldraw", normalizeFileName(fileName))
+    );
   }
 
   /**
@@ -42,13 +54,73 @@ export class PartDb {
    * @param {string} contents
    */
   set(fileName, contents) {
-    return this.#setInStore("ldraw", fileName, contents);
+    return this.#setInStore("ldraw", normalizeFileName(fileName), contents);
+  }
+
+  /**
+   * Forget the cached files if they're from another version
+   * of the library than the last time
+   *
+   * @param {string} version
+   */
+  async useVersion(version) {
+    if ((await this.#getFromStore("metadata", "version")) === version) {
+      return;
+    }
+
+    await this.#clearStore("ldraw");
+    await this.clearGeometry();
+    await this.#setInStore("metadata", "version", version);
+  }
+
+  /**
+   * @param {string} key
+   */
+  getGeometry(key) {
+    return /** @type {Promise<CachedGeometry | undefined>} */ (
+      this.#getFromStore("geometry", key)
+    );
+  }
+
+  /**
+   * The geometry is copied before this returns, so its buffers can be
+   * transferred right after
+   *
+   * @param {string} key
+   * @param {CachedGeometry} geometry
+   */
+  async setGeometry(key, geometry) {
+    return this.#setInStore("geometry", key, geometry);
+  }
+
+  /**
+   * Forget all cached geometry, like when the files it's made from change
+   */
+  clearGeometry() {
+    return this.#clearStore("geometry");
+  }
+
+  /**
+   * @param {string} url
+   */
+  getArchive(url) {
+    return /** @type {Promise<Blob | undefined>} */ (
+      this.#getFromStore("archives", url)
+    );
+  }
+
+  /**
+   * @param {string} url
+   * @param {Blob} archive
+   */
+  setArchive(url, archive) {
+    return this.#setInStore("archives", url, archive);
   }
 
   /**
    * @param {string} name
    * @param {string} key
-   * @returns {Promise<string | undefined>}
+   * @returns {Promise<unknown>}
    */
   #getFromStore(name, key) {
     const transaction = this.db.transaction(name, "readonly");
@@ -71,7 +143,8 @@ export class PartDb {
     const transaction = this.db.transaction(name, "readwrite");
     const store = transaction.objectStore(name);
 
-    const cachedRequest = store.add(contents, key);
+    // Files are replaced by newer versions of them
+    const cachedRequest = store.put(contents, key);
     const cachedPromise = new Promise(function (resolve, reject) {
       cachedRequest.onsuccess = resolve;
       cachedRequest.onerror = reject;
@@ -79,4 +152,20 @@ export class PartDb {
 
     return cachedPromise;
   }
+
+  /**
+   * @param {string} name
+   */
+  #clearStore(name) {
+    const transaction = this.db.transaction(name, "readwrite");
+    const store = transaction.objectStore(name);
+
+    const clearRequest = store.clear();
+    const clearPromise = new Promise(function (resolve, reject) {
+      clearRequest.onsuccess = resolve;
+      clearRequest.onerror = reject;
+    });
+
+    return clearPromise;
+  }
 }
@@ -1,15 +1,14 @@
-/** @import { PartGeometry } from "./ldraw.js" */
-/** @import { PartWorker } from "./part-worker.js" */
+/** @import { ColorDefinition, PartGeometry } from "./ldraw.js" */
+/** @import { LoadProgress, SubstitutionPolicy } from "./file-loader.js" */
+/** @import { Library } from "./library-resolver.js" */
+/** @import { PartWorker, PartsListFormat } from "./part-worker.js" */
 import { AsyncWorker } from "./async-worker.js";
+import { FileLoader } from "./file-loader.js";
+import { normalizeFileName } from "./ldraw.js";
 
 export class Loader {
   /**
-   * @type {Promise<readonly {
-   *   code: number;
-   *   rgba: [number, number, number, number];
-   *   edge: [number, number, number, number];
-   * }[]
-   * > | undefined}
+   * @type {Promise<readonly ColorDefinition[]> | undefined}
    */
   #cachedInitializeRequest;
 
@@ -26,24 +25,128 @@ export class Loader {
     this.#worker = new AsyncWorker(worker);
   }
 
-  initialize() {
-    return (this.#cachedInitializeRequest ??= this.#worker.run("initialize"));
+  /**
+   * @param {SubstitutionPolicy} [policy] The primitives to load
+   *   when a load doesn't ask for others
+   * @param {Library[]} [libraries] The libraries to load files from,
+   *   the official library in `ldraw` if undefined
+   */
+  initialize(policy, libraries) {
+    return (this.#cachedInitializeRequest ??= this.#worker.run("initialize", {
+      policy,
+      libraries,
+    }));
   }
 
   /**
    * @param {string} fileName
+   * @param {SubstitutionPolicy} [policy]
    */
-  async loadPartGeometry(fileName) {
-    const cachedPartRequest = this.#cachedPartRequests.get(fileName);
+  async loadPartGeometry(fileName, policy) {
+    const key = Loader.#cacheKey(fileName, policy);
+    const cachedPartRequest = this.#cachedPartRequests.get(key);
 
     if (cachedPartRequest) {
       return cachedPartRequest;
     }
 
-    const promise = this.#worker.run("load:part", fileName);
+    const promise = this.#worker.run("load:part", { fileName, policy });
 
-    this.#cachedPartRequests.set(fileName, promise);
+    this.#cachedPartRequests.set(key, promise);
 
     return promise;
   }
+
+  /**
+   * A model's geometry while it loads, first with boxes in place
+   * of the parts that haven't loaded yet, and last complete. The complete
+   * geometry is cached like `loadPartGeometry`'s.
+   *
+   * @param {string} fileName
+   * @param {SubstitutionPolicy} [policy]
+   *
+   * @returns {AsyncGenerator<LoadProgress & { geometry: PartGeometry }>}
+   */
+  async *streamPartGeometry(fileName, policy) {
+    const key = Loader.#cacheKey(fileName, policy);
+    const cachedPartRequest = this.#cachedPartRequests.get(key);
+
+    if (cachedPartRequest) {
+      // Nothing is left to load
+      yield { geometry: await cachedPartRequest, loaded: 0, total: 0 };
+      return;
+    }
+
+    /** @type {Map<string, PartGeometry>} */
+    const parts = new Map();
+
+    /** @type {PartGeometry | undefined} */
+    let geometry;
+
+    for await (const chunk of this.#worker.stream("stream:part", {
+      fileName,
+      policy,
+    })) {
+      for (const part of chunk.parts) {
+        parts.set(part.fileName, part);
+      }
+
+      geometry = {
+        ...chunk.geometry,
+        instances: chunk.instances.flatMap(({ fileName, instances }) => {
+          const part = parts.get(fileName);
+          return part ? [{ geometry: part, instances }] : [];
+        }),
+      };
+
+      yield { geometry, loaded: chunk.loaded, total: chunk.total };
+    }
+
+    if (geometry) {
+      this.#cachedPartRequests.set(key, Promise.resolve(geometry));
+    }
+  }
+
+  /**
+   * @param {string} fileName
+   * @param {SubstitutionPolicy} [policy]
+   */
+  static #cacheKey(fileName, policy) {
+    const name = FileLoader.isUrl(fileName)
+      ? fileName
+      : normalizeFileName(fileName);
+
+    return policy ? `${FileLoader.substitutionKey(policy)}:${name}` : name;
+  }
+
+  /**
+   * A model's parts list, exported as CSV or a BrickLink wanted list.
+   *
+   * @param {string} fileName
+   * @param {PartsListFormat} [format]
+   * @param {ReadonlyMap<number, number>} [brickLinkColors] LDraw to BrickLink
+   *   color ids, for the colors the built-in ones don't have
+   */
+  partsList(fileName, format = "csv", brickLinkColors) {
+    return this.#worker.run("export:parts-list", {
+      fileName,
+      format,
+      brickLinkColors,
+    });
+  }
+
+  /**
+   * Apply an official library update, like lcad2401.zip, to the cached
+   * library. Parts loaded after it are the updated versions, except for
+   * the ones that libraries before the official one override.
+   *
+   * @param {Blob} archive
+   */
+  async applyUpdate(archive) {
+    const update = await this.#worker.run("apply:update", archive);
+
+    this.#cachedPartRequests.clear();
+
+    return update;
+  }
 }
@@ -1,14 +1,64 @@
-/** @import { Color, PartGeometry } from "./ldraw.js" */
+/** @import { Color, ColorDefinition, PartGeometry, PartTexture } from "./ldraw.js" */
 /** @import { TypedWorker, TypedInnerWorker } from "./async-worker.js" */
+/** @import { LoadProgress, SubstitutionPolicy } from "./file-loader.js" */
+/** @import { Library } from "./library-resolver.js" */
+/** @import { LibraryUpdate } from "./library-update.js" */
 import { PartDb } from "./part-db.js";
 import { FileLoader } from "./file-loader.js";
+import { GeometryStore } from "./geometry-store.js";
+import { LOW_DETAIL, addLowDetail } from "./low-detail.js";
+import { LibraryResolver, OFFICIAL_LIBRARY } from "./library-resolver.js";
+import { applyUpdate } from "./library-update.js";
+import { ZipArchive } from "./zip-archive.js";
+import {
+  formatBrickLinkXml,
+  formatCsv,
+  formatRebrickableCsv,
+} from "./parts-list.js";
 
 /** @type {FileLoader} */
 let fileLoader;
 
+/** @type {PartDb} */
+let partDb;
+
+/** @type {LibraryResolver} */
+let resolver;
+
+/** @type {GeometryStore} */
+let geometryStore;
+
+/**
+ * The policy the worker was initialized with
+ *
+ * @type {SubstitutionPolicy}
+ */
+let defaultPolicy;
+
+/**
+ * A loader for each substitution policy, as they load different files
+ *
+ * @type {Map<string, FileLoader>}
+ */
+const fileLoaders = new Map();
+
+/**
+ * The archives of libraries that have them, opened the first time
+ * a file is read from them
+ *
+ * @type {Map<string, Promise<ZipArchive>>}
+ */
+const archives = new Map();
+
 /** @type {Color[]} */
 let colors;
 
+/**
+ * How long to wait between streamed chunks of a model, in milliseconds,
+ * so rendering them doesn't hold up loading the rest
+ */
+const CHUNK_INTERVAL = 250;
+
 /** @type {TypedInnerWorker<Events>} */
 // @ts-expect-error
 const self = globalThis;
@@ -16,9 +66,14 @@ const self = globalThis;
 self.onmessage = async function ({ data: { type, data, id } }) {
   switch (type) {
     case "initialize": {
-      const partDb = await PartDb.open();
+      partDb = await PartDb.open();
+
+      resolver = new LibraryResolver(data.libraries);
+      await partDb.useVersion(resolver.version);
+      geometryStore = new GeometryStore(partDb, resolver);
 
-      fileLoader = new FileLoader(fetchPart, partDb);
+      defaultPolicy = data.policy ?? {};
+      fileLoader = loaderFor(defaultPolicy);
 
       const configFile = await fileLoader.load("LDCfgalt.ldr");
 
@@ -46,22 +101,38 @@ self.onmessage = async function ({ data: { type, data, id } }) {
     }
     case "load:part": {
       try {
-        console.time("model load " + data);
-        const file = await fileLoader.load(data);
+        console.time("model load " + data.fileName);
+        const policy = data.policy ?? defaultPolicy;
+        let cached = await geometryStore.get(data.fileName, policy);
 
-        if (!file) {
-          self.postMessage({
-            type: "load:part",
-            id,
-            success: false,
-            error: `Could not load part ${data}`,
-          });
+        if (!cached) {
+          const file = await loaderFor(data.policy).load(data.fileName);
 
-          return;
+          if (!file) {
+            self.postMessage({
+              type: "load:part",
+              id,
+              success: false,
+              error: `Could not load part ${data.fileName}`,
+            });
+
+            return;
+          }
+
+          const geometry = file.geometry(undefined, { weld: true });
+          await addLowDetail(
+            geometry.instances.map((part) => part.geometry),
+            loaderFor(LOW_DETAIL)
+          );
+
+          cached = { geometry, resources: file.resources };
+
+          geometryStore.set(data.fileName, policy, cached).catch(console.warn);
         }
 
-        const geometry = file.geometry();
-        console.timeEnd("model load " + data);
+        const { geometry, resources } = cached;
+        await loadTextures(geometry.textures, resources);
+        console.timeEnd("model load " + data.fileName);
 
         self.postMessage(
           {
@@ -70,12 +141,7 @@ self.onmessage = async function ({ data: { type, data, id } }) {
             success: true,
             data: geometry,
           },
-          [
-            geometry.lines.buffer,
-            geometry.optionalLines.buffer,
-            geometry.triangles.buffer,
-            geometry.studs.buffer,
-          ]
+          transferables(geometry)
         );
       } catch (e) {
         console.error(e);
@@ -88,45 +154,480 @@ self.onmessage = async function ({ data: { type, data, id } }) {
         });
       }
 
+      return;
+    }
+    case "stream:part": {
+      try {
+        const policy = data.policy ?? defaultPolicy;
+        const cached = await geometryStore.get(data.fileName, policy);
+
+        if (cached) {
+          await loadTextures(cached.geometry.textures, cached.resources);
+          await postChunk(
+            id,
+            cached.geometry,
+            { loaded: 1, total: 1 },
+            new Map(),
+            false
+          );
+
+          return;
+        }
+
+        /** @type {LoadProgress} */
+        let progress = { loaded: 0, total: 0 };
+
+        /** @type {Map<string, PartGeometry | undefined>} */
+        const sent = new Map();
+
+        let lastChunk = performance.now();
+
+        // Chunks are posted in order, once their parts' low detail is ready
+        /** @type {Promise<void>} */
+        let chunks = Promise.resolve();
+
+        const loader = loaderFor(data.policy);
+
+        const file = await loader.load(data.fileName, function (update) {
+          progress = update;
+
+          if (performance.now() - lastChunk < CHUNK_INTERVAL) {
+            return;
+          }
+
+          try {
+            const partial = loader.partial(data.fileName);
+
+            if (partial) {
+              const geometry = partial.geometry(undefined, {
+                weld: true,
+                placeholders: true,
+              });
+              const chunkProgress = progress;
+
+              chunks = chunks.then(() =>
+                postChunk(id, geometry, chunkProgress, sent, true)
+              );
+            }
+          } catch (e) {
+            // The load itself fails with the same error
+            console.warn(e);
+          }
+
+          lastChunk = performance.now();
+        });
+
+        const geometry = file.geometry(undefined, { weld: true });
+
+        await chunks;
+
+        if (geometryStore.keeps(data.fileName)) {
+          // The cached geometry needs the low detail that parts in earlier
+          // chunks were sent with, and only the rest is made now
+          for (const { geometry: part } of geometry.instances) {
+            if (sent.has(part.fileName)) {
+              part.lowDetail = sent.get(part.fileName);
+            }
+          }
+
+          await addLowDetail(
+            geometry.instances.map((part) => part.geometry),
+            loaderFor(LOW_DETAIL)
+          );
+          geometryStore
+            .set(data.fileName, policy, { geometry, resources: file.resources })
+            .catch(console.warn);
+        }
+
+        await loadTextures(geometry.textures, file.resources);
+        await postChunk(id, geometry, progress, sent, false);
+      } catch (e) {
+        console.error(e);
+
+        self.postMessage({
+          type: "stream:part",
+          id,
+          success: false,
+          error: e instanceof Error ? e.toString() : "Unknown load error",
+        });
+      }
+
+      return;
+    }
+    case "apply:update": {
+      try {
+        const overriding = resolver.overriding(OFFICIAL_LIBRARY.name);
+        const update = await applyUpdate(data, partDb, (fileName) =>
+          hasFile(overriding, fileName)
+        );
+
+        // Files loaded before might use the old versions of the files
+        fileLoaders.clear();
+        await geometryStore.clear();
+        fileLoader = loaderFor(defaultPolicy);
+
+        self.postMessage({
+          type: "apply:update",
+          id,
+          success: true,
+          data: update,
+        });
+      } catch (e) {
+        console.error(e);
+
+        self.postMessage({
+          type: "apply:update",
+          id,
+          success: false,
+          error: e instanceof Error ? e.toString() : "Unknown update error",
+        });
+      }
+
+      return;
+    }
+    case "export:parts-list": {
+      try {
+        const file = await fileLoader.load(data.fileName);
+
+        if (!file) {
+          self.postMessage({
+            type: "export:parts-list",
+            id,
+            success: false,
+            error: `Could not load model ${data.fileName}`,
+          });
+
+          return;
+        }
+
+        const entries = file.partsList();
+
+        self.postMessage({
+          type: "export:parts-list",
+          id,
+          success: true,
+          data:
+            data.format === "bricklink"
+              ? formatBrickLinkXml(entries, data.brickLinkColors)
+              : data.format === "rebrickable"
+              ? formatRebrickableCsv(entries)
+              : formatCsv(entries, colors),
+        });
+      } catch (e) {
+        console.error(e);
+
+        self.postMessage({
+          type: "export:parts-list",
+          id,
+          success: false,
+          error: e instanceof Error ? e.toString() : "Unknown parts list error",
+        });
+      }
+
       return;
     }
   }
 };
 
+/**
+ * @param {SubstitutionPolicy} [policy] The policy the worker was
+ *   initialized with if undefined
+ */
+function loaderFor(policy) {
+  if (!policy) {
+    return fileLoader;
+  }
+
+  const key = FileLoader.substitutionKey(policy);
+  let loader = fileLoaders.get(key);
+
+  if (!loader) {
+    loader = new FileLoader(
+      fetchPart,
+      partDb,
+      fetchTexture,
+      {},
+      policy,
+      resolver
+    );
+    fileLoaders.set(key, loader);
+  }
+
+  return loader;
+}
+
+/**
+ * Send a model's geometry so far. Parts are only sent
+ * with the first chunk that has them.
+ *
+ * @param {string} id
+ * @param {PartGeometry} geometry
+ * @param {LoadProgress} progress
+ * @param {Map<string, PartGeometry | undefined>} sent The parts that
+ *   earlier chunks had, and their low detail geometry
+ * @param {boolean} partial Whether more chunks will follow
+ */
+async function postChunk(id, geometry, progress, sent, partial) {
+  const parts = geometry.instances
+    .map((part) => part.geometry)
+    .filter((part) => !sent.has(part.fileName));
+
+  await addLowDetail(parts, loaderFor(LOW_DETAIL));
+
+  for (const part of parts) {
+    sent.set(part.fileName, part.lowDetail);
+  }
+
+  /** @type {GeometryChunk} */
+  const chunk = {
+    geometry: { ...geometry, instances: [] },
+    parts,
+    instances: geometry.instances.map((part) => ({
+      fileName: part.geometry.fileName,
+      instances: part.instances,
+    })),
+    ...progress,
+  };
+
+  self.postMessage(
+    {
+      type: "stream:part",
+      id,
+      success: true,
+      partial,
+      data: chunk,
+    },
+    [
+      ...transferables(chunk.geometry),
+      // Low detail is copied, to keep for the geometry that's cached
+      ...parts.flatMap((part) =>
+        transferables({ ...part, lowDetail: undefined })
+      ),
+      ...chunk.instances.map((part) => part.instances.buffer),
+    ]
+  );
+}
+
+/**
+ * The buffers and images of geometry, to move to the main thread
+ *
+ * @param {PartGeometry} geometry
+ *
+ * @returns {Transferable[]}
+ */
+function transferables(geometry) {
+  return [
+    geometry.lines.buffer,
+    geometry.optionalLines.buffer,
+    geometry.triangles.buffer,
+    geometry.twoSidedTriangles.buffer,
+    geometry.texturedTriangles.buffer,
+    geometry.studs.buffer,
+    ...Object.values(geometry.indices ?? {}).map((i) => i.buffer),
+    ...geometry.instances.flatMap(({ geometry, instances }) => [
+      ...transferables(geometry),
+      instances.buffer,
+    ]),
+    ...geometry.textures.flatMap((t) => t.image ?? []),
+    ...(geometry.lowDetail ? transferables(geometry.lowDetail) : []),
+  ];
+}
+
+/**
+ * Whether any of some libraries has a file
+ *
+ * @param {LibraryResolver} libraries
+ * @param {string} fileName
+ */
+async function hasFile(libraries, fileName) {
+  const paths = [
+    ...libraries.paths(fileName),
+    ...(await libraries.indexedPaths(fileName, fetchPart)),
+  ];
+
+  return (
+    paths.length > 0 &&
+    fetchPart(fileName, paths).then(
+      () => true,
+      () => false
+    )
+  );
+}
+
 /**
  * @param {string} fileName
  * @param {string[]} paths
  */
 function fetchPart(fileName, paths) {
-  return Promise.any(
-    paths.map(async function (path) {
-      const response = await fetch(path);
+  return firstFound(paths.map(async (path) => (await fetchFile(path)).text()));
+}
 
-      if (!response.ok) {
-        throw new Error(`Could not load ${path}: ${response.status}`);
-      }
+/**
+ * @param {string} fileName
+ * @param {string[]} paths
+ */
+function fetchTexture(fileName, paths) {
+  return firstFound(paths.map(fetchFile));
+}
 
-      return response.text();
+/**
+ * Read a file from its library's archive if it has one,
+ * or fetch it otherwise
+ *
+ * @param {string} path
+ *
+ * @returns {Promise<Blob>}
+ */
+async function fetchFile(path) {
+  const url = resolver.archived(path)?.archive;
+
+  if (url) {
+    let archive = archives.get(url);
+
+    if (!archive) {
+      archive = ZipArchive.open(url, partDb);
+      archives.set(url, archive);
+
+      // It's tried again for the next file
+      archive.catch(() => archives.delete(url));
+    }
+
+    const blob = await (await archive).read(path);
+
+    if (!blob) {
+      throw new Error(`Could not find ${path} in ${url}`);
+    }
+
+    return blob;
+  }
+
+  const response = await fetch(path);
+
+  if (!response.ok) {
+    throw new Error(`Could not load ${path}: ${response.status}`);
+  }
+
+  return response.blob();
+}
+
+/**
+ * Like `Promise.any`, but the earliest request that succeeds wins rather
+ * than the fastest, so libraries earlier in the paths override later ones.
+ *
+ * @template T
+ * @param {Promise<T>[]} requests
+ *
+ * @returns {Promise<T>}
+ */
+async function firstFound(requests) {
+  /** @type {unknown[]} */
+  const errors = [];
+
+  for (const request of requests) {
+    // The requests after the one that's found are never awaited
+    request.catch(() => {});
+  }
+
+  for (const request of requests) {
+    try {
+      return await request;
+    } catch (e) {
+      errors.push(e);
+    }
+  }
+
+  throw new AggregateError(errors, "Could not load from any path");
+}
+
+/**
+ * Decode every texture at the same size, so they can share a texture array.
+ * Textures that can't be loaded are left empty.
+ *
+ * @param {PartTexture[]} textures
+ * @param {Map<string, Uint8Array<ArrayBuffer>>} resources
+ */
+async function loadTextures(textures, resources) {
+  const images = await Promise.all(
+    textures.map(async function ({ name }) {
+      const blob = await fileLoader.loadTexture(name, resources);
+
+      return blob && createImageBitmap(blob).catch(() => undefined);
     })
   );
+
+  const width = Math.max(1, ...images.map((i) => i?.width ?? 0));
+  const height = Math.max(1, ...images.map((i) => i?.height ?? 0));
+
+  for (const [index, image] of images.entries()) {
+    const texture = textures[index];
+
+    if (!image || !texture) {
+      continue;
+    }
+
+    if (image.width === width && image.height === height) {
+      texture.image = image;
+      continue;
+    }
+
+    texture.image = await createImageBitmap(image, {
+      resizeWidth: width,
+      resizeHeight: height,
+      resizeQuality: "high",
+    });
+
+    image.close();
+  }
 }
 
 /**
  *
  * @typedef {{
  *   "load:part": {
- *     request: string;
+ *     request: PartRequest;
  *     response: PartGeometry
  *   };
+ *   "stream:part": {
+ *     request: PartRequest;
+ *     response: GeometryChunk;
+ *   };
  *   "initialize": {
- *     request: undefined;
- *     response: readonly {
- *       code: number;
- *       rgba: [number, number, number, number];
- *       edge: [number, number, number, number];
- *     }[];
+ *     request: {
+ *       policy?: SubstitutionPolicy | undefined;
+ *       libraries?: Library[] | undefined;
+ *     };
+ *     response: readonly ColorDefinition[];
+ *   };
+ *   "apply:update": {
+ *     request: Blob;
+ *     response: LibraryUpdate;
+ *   };
+ *   "export:parts-list": {
+ *     request: {
+ *       fileName: string;
+ *       format: PartsListFormat;
+ *       brickLinkColors?: ReadonlyMap<number, number> | undefined;
+ *     };
+ *     response: string;
  *   }
  * }} Events
  *
+ * @typedef {"csv" | "bricklink" | "rebrickable"} PartsListFormat
+ *
+ * @typedef {{
+ *   fileName: string;
+ *   policy?: SubstitutionPolicy | undefined;
+ * }} PartRequest
+ *
+ * A model's geometry as it streams in, with its parts' geometry left out
+ * of `geometry` and sent in `parts` the first time they're used.
+ * Instances refer to parts by file name.
+ *
+ * @typedef {LoadProgress & {
+ *   geometry: PartGeometry;
+ *   parts: PartGeometry[];
+ *   instances: { fileName: string; instances: Float32Array<ArrayBuffer> }[];
+ * }} GeometryChunk
+ *
  * @typedef {TypedWorker<Events>} PartWorker
  */
@@ -0,0 +1,138 @@
+/** @import { Color, PartsListEntry } from "./ldraw.js" */
+import { formatColorCode } from "./ldraw.js";
+
+/**
+ * BrickLink color ids of the common LDraw colors. It's far from all of
+ * them: parts in other colors are exported in any color, unless a full
+ * map, like one made from BrickLink's color guide, is given instead.
+ *
+ * @type {ReadonlyMap<number, number>}
+ */
+export const BRICKLINK_COLORS = new Map([
+  [0, 11], // Black
+  [1, 7], // Blue
+  [2, 6], // Green
+  [4, 5], // Red
+  [6, 8], // Brown
+  [7, 9], // Light Gray
+  [8, 10], // Dark Gray
+  [10, 36], // Bright Green
+  [14, 3], // Yellow
+  [15, 1], // White
+  [19, 2], // Tan
+  [25, 4], // Orange
+  [27, 34], // Lime
+  [28, 69], // Dark Tan
+  [36, 17], // Trans-Red
+  [47, 12], // Trans-Clear
+  [70, 88], // Reddish Brown
+  [71, 86], // Light Bluish Gray
+  [72, 85], // Dark Bluish Gray
+  [73, 42], // Medium Blue
+  [272, 63], // Dark Blue
+  [288, 80], // Dark Green
+  [320, 59], // Dark Red
+  [378, 48], // Sand Green
+  [484, 68], // Dark Orange
+]);
+
+/**
+ * @param {PartsListEntry[]} entries
+ * @param {readonly Pick<Color, "code" | "name">[]} colors
+ *
+ * @returns {string} Part,Description,Color,Color Name,Quantity
+ */
+export function formatCsv(entries, colors) {
+  const names = new Map(colors.map(({ code, name }) => [code, name]));
+
+  return formatCsvRows([
+    ["Part", "Description", "Color", "Color Name", "Quantity"],
+    ...entries.map(({ fileName, title, color, quantity }) => [
+      fileName,
+      title ?? "",
+      formatColorCode(color),
+      names.get(color) ?? "",
+      quantity.toString(),
+    ]),
+  ]);
+}
+
+/**
+ * Rebrickable's color ids are LDraw's for most colors.
+ *
+ * @param {PartsListEntry[]} entries
+ *
+ * @returns {string} Part,Color,Quantity
+ */
+export function formatRebrickableCsv(entries) {
+  return formatCsvRows([
+    ["Part", "Color", "Quantity"],
+    ...entries.map(({ fileName, color, quantity }) => [
+      partNumber(fileName),
+      formatColorCode(color),
+      quantity.toString(),
+    ]),
+  ]);
+}
+
+/**
+ * A BrickLink wanted list. Parts in colors that aren't in `colors`
+ * are listed in any color, with the LDraw color as a remark.
+ *
+ * @param {PartsListEntry[]} entries
+ * @param {ReadonlyMap<number, number>} [colors] LDraw to BrickLink color ids
+ *
+ * @returns {string}
+ */
+export function formatBrickLinkXml(entries, colors = BRICKLINK_COLORS) {
+  const items = entries.map(({ fileName, color, quantity }) => {
+    const brickLinkColor = colors.get(color);
+
+    const fields = [
+      "<ITEMTYPE>P</ITEMTYPE>",
+      `<ITEMID>${escapeXml(partNumber(fileName))}</ITEMID>`,
+      brickLinkColor === undefined
+        ? `<REMARKS>LDraw color ${formatColorCode(color)}</REMARKS>`
+        : `<COLOR>${brickLinkColor}</COLOR>`,
+      `<MINQTY>${quantity}</MINQTY>`,
+    ];
+
+    return `  <ITEM>${fields.join("")}</ITEM>`;
+  });
+
+  return ["<INVENTORY>", ...items, "</INVENTORY>"].join("\n") + "\n";
+}
+
+/**
+ * @param {string} fileName
+ */
+function partNumber(fileName) {
+  return fileName.replace(/\.dat$/i, "");
+}
+
+/**
+ * @param {string[][]} rows
+ */
+function formatCsvRows(rows) {
+  return (
+    rows
+      .map((row) =>
+        row
+          .map((field) =>
+            /[",\r\n]/.test(field) ? `"${field.replaceAll('"', '""')}"` : field
+          )
+          .join(",")
+      )
+      .join("\r\n") + "\r\n"
+  );
+}
+
+/**
+ * @param {string} text
+ */
+function escapeXml(text) {
+  return text
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+}
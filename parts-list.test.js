@@ -0,0 +1,73 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatBrickLinkXml,
+  formatCsv,
+  formatRebrickableCsv,
+} from "./parts-list.js";
+
+/** @type {import("./ldraw.js").PartsListEntry[]} */
+const entries = [
+  { fileName: "3001.dat", title: "Brick  2 x  4", color: 4, quantity: 2 },
+  {
+    fileName: "973p01.dat",
+    title: 'Torso "Vest", Pocket',
+    color: 5,
+    quantity: 1,
+  },
+  {
+    fileName: "3024.dat",
+    title: "Plate  1 x  1",
+    color: -1 - 0xff8800,
+    quantity: 3,
+  },
+];
+
+describe("Parts list export", function () {
+  it("should write CSV with color names", function () {
+    const csv = formatCsv(entries, [{ code: 4, name: "Red" }]);
+
+    assert.equal(
+      csv,
+      [
+        "Part,Description,Color,Color Name,Quantity",
+        "3001.dat,Brick  2 x  4,4,Red,2",
+        '973p01.dat,"Torso ""Vest"", Pocket",5,,1',
+        "3024.dat,Plate  1 x  1,0x2FF8800,,3",
+        "",
+      ].join("\r\n")
+    );
+  });
+
+  it("should write Rebrickable CSV", function () {
+    assert.equal(
+      formatRebrickableCsv(entries.slice(0, 1)),
+      "Part,Color,Quantity\r\n3001,4,2\r\n"
+    );
+  });
+
+  it("should write a BrickLink wanted list", function () {
+    assert.equal(
+      formatBrickLinkXml(entries.slice(0, 2)),
+      [
+        "<INVENTORY>",
+        "  <ITEM><ITEMTYPE>P</ITEMTYPE><ITEMID>3001</ITEMID><COLOR>5</COLOR><MINQTY>2</MINQTY></ITEM>",
+        "  <ITEM><ITEMTYPE>P</ITEMTYPE><ITEMID>973p01</ITEMID><REMARKS>LDraw color 5</REMARKS><MINQTY>1</MINQTY></ITEM>",
+        "</INVENTORY>",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should use the BrickLink colors it's given", function () {
+    assert.equal(
+      formatBrickLinkXml(entries.slice(1, 2), new Map([[5, 47]])),
+      [
+        "<INVENTORY>",
+        "  <ITEM><ITEMTYPE>P</ITEMTYPE><ITEMID>973p01</ITEMID><COLOR>47</COLOR><MINQTY>1</MINQTY></ITEM>",
+        "</INVENTORY>",
+        "",
+      ].join("\n")
+    );
+  });
+});
@@ -1,7 +1,47 @@
 /** @import { Matrix } from "./matrix.js" */
-/** @import { PartGeometry } from "./ldraw.js"  */
+/** @import { ColorDefinition, Finish, Material, PartGeometry, PartTexture } from "./ldraw.js"  */
+/** @import { SubstitutionPolicy } from "./file-loader.js" */
+import { FileLoader } from "./file-loader.js";
 import { Color } from "./ldraw.js";
 
+/**
+ * How each finish is identified in the finish map texture
+ *
+ * @type {Record<Finish | Material["type"], number>}
+ */
+const FINISHES = {
+  SOLID: 0,
+  CHROME: 1,
+  PEARLESCENT: 2,
+  RUBBER: 3,
+  MATTE_METALLIC: 4,
+  METAL: 5,
+  GLITTER: 6,
+  SPECKLE: 7,
+};
+
+/**
+ * How many pixels across instances have to be to be drawn in full.
+ * Smaller parts are drawn with their low detail geometry and without
+ * optional lines, and smaller studs aren't drawn at all.
+ */
+const DETAIL_SIZES = {
+  parts: 32,
+  studs: 6,
+};
+
+/**
+ * How each instance's certified triangles are culled,
+ * by the culling instance buffers give it
+ *
+ * @type {ReadonlyMap<number, InstanceCulling>}
+ */
+const INSTANCE_CULLING = new Map([
+  [1, "ccw"],
+  [-1, "cw"],
+  [0, "none"],
+]);
+
 /** @satisfies {GPUDepthStencilState} */
 const DEPTH_STENCIL = {
   depthWriteEnabled: true,
@@ -9,6 +49,21 @@ const DEPTH_STENCIL = {
   format: "depth24plus",
 };
 
+/**
+ * A key light from the upper left, a dim fill light from the right
+ * to soften its shadows, and a little ambient light everywhere.
+ *
+ * @type {Lighting}
+ */
+export const DEFAULT_LIGHTING = {
+  mode: "lit",
+  key: { direction: [-0.5, 0.8, 0.6], intensity: 0.75 },
+  fill: { direction: [0.7, -0.1, 0.5], intensity: 0.25 },
+  ambient: 0.35,
+  specular: 0.25,
+  shininess: 32,
+};
+
 export class GpuRenderer {
   #linePipeline;
 
@@ -18,25 +73,65 @@ export class GpuRenderer {
 
   #transparentTrianglePipeline;
 
-  #studOpaqueTrianglePipeline;
+  #twoSidedOpaqueTrianglePipeline;
+
+  #twoSidedTransparentTrianglePipeline;
+
+  #texturedTrianglePipeline;
 
-  #studTransparentTrianglePipeline;
+  #instanceOpaqueTrianglePipelines;
 
-  #studLinePipeline;
+  #instanceTransparentTrianglePipelines;
 
-  #studOptionalLinePipeline;
+  #instanceLinePipeline;
+
+  #instanceOptionalLinePipeline;
 
   #bindGroupLayout;
 
+  #textureBindGroupLayout;
+
+  #textureSampler;
+
   #colorTexture;
 
   #edgeColorTexture;
 
+  #finishTexture;
+
+  #materialColorTexture;
+
   /**
+   * Instanced geometry, by the policy it was loaded with and its file name,
+   * since one renderer draws models loaded with different primitives
+   *
    * @type {Map<string, PreparedGeometry>}
    */
   #preparedGeometries = new Map();
 
+  /**
+   * Models change as they stream in, so they're prepared again
+   * for each new geometry
+   *
+   * @type {WeakMap<PartGeometry, PreparedGeometry>}
+   */
+  #preparedModels = new WeakMap();
+
+  /**
+   * How many targets draw each model, so its buffers are destroyed
+   * once none do, like when the next chunk of a streamed model replaces it
+   *
+   * @type {Map<PartGeometry, number>}
+   */
+  #modelUsers = new Map();
+
+  /**
+   * How each buffer of instances was last split by level of detail
+   *
+   * @type {WeakMap<Float32Array, LevelOfDetail>}
+   */
+  #levelsOfDetail = new WeakMap();
+
   /**
    *
    * @param {{
@@ -58,7 +153,17 @@ export class GpuRenderer {
       usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.UNIFORM,
     });
 
-    const bindGroup = this.#createBindGroup(uniformBuffer, colorBuffer);
+    const lightingBuffer = this.device.createBuffer({
+      label: "Lighting",
+      size: 12 * 4,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.UNIFORM,
+    });
+
+    const bindGroup = this.#createBindGroup(
+      uniformBuffer,
+      colorBuffer,
+      lightingBuffer
+    );
 
     const depthTexture = this.device.createTexture({
       size: [target.width, target.height],
@@ -68,17 +173,102 @@ export class GpuRenderer {
 
     const device = this.device;
 
+    /**
+     * The model the target draws
+     *
+     * @type {PartGeometry | undefined}
+     */
+    let drawn;
+
     /**
      * @param {Color} color
      * @param {Matrix} transformMatrix
      * @param {PartGeometry} geometry
      * @param {PartGeometry} stud
+     * @param {number} [step] The last (1-based) build step to draw
+     * @param {Lighting} [lighting]
+     * @param {SubstitutionPolicy} [policy] The primitives the geometry
+     *   was loaded with
      */
-    const render = (color, transformMatrix, geometry, stud) => {
-      const { lines, optionalLines, triangles, studs } =
-        this.#prepareGeometry(geometry);
+    const render = (
+      color,
+      transformMatrix,
+      geometry,
+      stud,
+      step,
+      lighting = DEFAULT_LIGHTING,
+      policy
+    ) => {
+      if (geometry !== drawn) {
+        this.#modelUsers.set(
+          geometry,
+          (this.#modelUsers.get(geometry) ?? 0) + 1
+        );
+
+        if (drawn) {
+          this.#releaseModel(drawn);
+        }
 
-      const studGeometry = this.#prepareGeometry(stud);
+        drawn = geometry;
+      }
+
+      const {
+        lines,
+        optionalLines,
+        triangles,
+        twoSidedTriangles,
+        texturedTriangles,
+        textureBindGroup,
+        studs,
+        instances,
+      } = this.#prepareGeometry(geometry, policy);
+
+      // Geometry is ordered by step, so earlier steps are a prefix of it
+      const counts =
+        step == null
+          ? undefined
+          : geometry.steps[
+              Math.min(Math.max(step, 1), geometry.steps.length) - 1
+            ];
+
+      // How many pixels across one unit of the model is drawn
+      const pixelScale =
+        (Math.hypot(
+          transformMatrix[0],
+          transformMatrix[1],
+          transformMatrix[2]
+        ) *
+          target.width) /
+        2;
+
+      const studGeometry = this.#prepareGeometry(stud, policy);
+
+      const instanced = [
+        {
+          data: geometry.studs,
+          instances: studs,
+          geometry: studGeometry,
+          lowDetail: undefined,
+          radius: stud.viewBox,
+          minimumSize: DETAIL_SIZES.studs,
+          count: counts?.studs ?? studs.count,
+        },
+        ...instances.map((part, index) => {
+          const { instances: data, geometry: partGeometry } =
+            geometry.instances[index] ?? {};
+
+          return {
+            ...part,
+            data,
+            lowDetail: part.lowDetail ?? part.geometry,
+            radius: partGeometry?.viewBox ?? 0,
+            minimumSize: DETAIL_SIZES.parts,
+            count: counts ? counts.instances[index] ?? 0 : part.instances.count,
+          };
+        }),
+      ]
+        .filter((i) => i.count)
+        .map((i) => ({ ...i, ...this.#levelOfDetail(i, pixelScale) }));
 
       device.queue.writeBuffer(
         uniformBuffer,
@@ -88,6 +278,8 @@ export class GpuRenderer {
 
       device.queue.writeBuffer(colorBuffer, 0, new Float32Array(color.rgba));
 
+      device.queue.writeBuffer(lightingBuffer, 0, lightingData(lighting));
+
       const encoder = device.createCommandEncoder();
 
       const pass = encoder.beginRenderPass({
@@ -113,47 +305,66 @@ export class GpuRenderer {
       GpuRenderer.#renderGeometryDescriptor(
         pass,
         triangles,
-        this.#opaqueTrianglePipeline
+        this.#opaqueTrianglePipeline,
+        counts?.triangles
       );
-      GpuRenderer.#renderGeometryDescriptor(pass, lines, this.#linePipeline);
       GpuRenderer.#renderGeometryDescriptor(
         pass,
-        optionalLines,
-        this.#optionalLinePipeline
+        twoSidedTriangles,
+        this.#twoSidedOpaqueTrianglePipeline,
+        counts?.twoSidedTriangles
       );
+      if (textureBindGroup) {
+        pass.setBindGroup(1, textureBindGroup);
+        GpuRenderer.#renderGeometryDescriptor(
+          pass,
+          texturedTriangles,
+          this.#texturedTrianglePipeline,
+          counts?.texturedTriangles
+        );
+      }
 
-      if (studs.count) {
-        if (studGeometry.triangles.count) {
-          pass.setPipeline(this.#studOpaqueTrianglePipeline);
-          pass.setVertexBuffer(0, studs.buffer);
-          pass.setVertexBuffer(1, studGeometry.triangles.buffer);
-          pass.draw(studGeometry.triangles.count, studs.count);
-        }
-
-        pass.setPipeline(this.#studLinePipeline);
-        pass.setVertexBuffer(0, studs.buffer);
-        pass.setVertexBuffer(1, studGeometry.lines.buffer);
-        pass.draw(studGeometry.lines.count, studs.count);
+      GpuRenderer.#renderGeometryDescriptor(
+        pass,
+        lines,
+        this.#linePipeline,
+        counts?.lines
+      );
+      GpuRenderer.#renderGeometryDescriptor(
+        pass,
+        optionalLines,
+        this.#optionalLinePipeline,
+        counts?.optionalLines
+      );
 
-        if (studGeometry.optionalLines.count) {
-          pass.setPipeline(this.#studOptionalLinePipeline);
-          pass.setVertexBuffer(0, studs.buffer);
-          pass.setVertexBuffer(1, studGeometry.optionalLines.buffer);
-          pass.draw(studGeometry.optionalLines.count, studs.count);
+      for (const transparent of [false, true]) {
+        for (const { buffer, geometry, lowDetail, near, far } of instanced) {
+          this.#renderInstances(pass, buffer, geometry, near, transparent);
+
+          if (lowDetail) {
+            this.#renderInstances(
+              pass,
+              buffer,
+              lowDetail,
+              far,
+              transparent,
+              false
+            );
+          }
         }
       }
 
-      if (studs.count && studGeometry.triangles.count) {
-        pass.setPipeline(this.#studTransparentTrianglePipeline);
-        pass.setVertexBuffer(0, studs.buffer);
-        pass.setVertexBuffer(1, studGeometry.triangles.buffer);
-        pass.draw(studGeometry.triangles.count, studs.count);
-      }
-
       GpuRenderer.#renderGeometryDescriptor(
         pass,
         triangles,
-        this.#transparentTrianglePipeline
+        this.#transparentTrianglePipeline,
+        counts?.triangles
+      );
+      GpuRenderer.#renderGeometryDescriptor(
+        pass,
+        twoSidedTriangles,
+        this.#twoSidedTransparentTrianglePipeline,
+        counts?.twoSidedTriangles
       );
 
       pass.end();
@@ -161,72 +372,511 @@ export class GpuRenderer {
       device.queue.submit([encoder.finish()]);
     };
 
-    function cleanup() {
+    const cleanup = () => {
       colorBuffer.destroy();
       uniformBuffer.destroy();
+      lightingBuffer.destroy();
       depthTexture.destroy();
-    }
+
+      if (drawn) {
+        this.#releaseModel(drawn);
+        drawn = undefined;
+      }
+    };
 
     return { render, cleanup };
   }
 
   /**
+   * Forget the instanced geometry prepared so far, like when the parts
+   * it's made from are updated. Models that were already drawn keep theirs,
+   * and the next models prepare it again.
+   */
+  clearGeometry() {
+    this.#preparedGeometries.clear();
+  }
+
+  /**
+   * Destroy a model's buffers if no target draws it anymore.
+   * The instanced geometry it shares with other models is kept.
+   *
    * @param {PartGeometry} geometry
+   */
+  #releaseModel(geometry) {
+    const users = (this.#modelUsers.get(geometry) ?? 1) - 1;
+
+    if (users > 0) {
+      this.#modelUsers.set(geometry, users);
+      return;
+    }
+
+    this.#modelUsers.delete(geometry);
+
+    const prepared = this.#preparedModels.get(geometry);
+
+    if (!prepared) {
+      return;
+    }
+
+    this.#preparedModels.delete(geometry);
+
+    const instanced = [
+      { data: geometry.studs, instances: prepared.studs },
+      ...prepared.instances.map(({ instances }, index) => ({
+        data: geometry.instances[index]?.instances,
+        instances,
+      })),
+    ];
+
+    // Instances split by level of detail are copied to a buffer of their own,
+    // which a model prepared again would otherwise find
+    for (const { data, instances } of instanced) {
+      const levelOfDetail = data && this.#levelsOfDetail.get(data);
+
+      if (levelOfDetail && levelOfDetail.buffer !== instances.buffer) {
+        levelOfDetail.buffer.destroy();
+      }
+
+      if (data) {
+        this.#levelsOfDetail.delete(data);
+      }
+    }
+
+    for (const descriptor of [
+      prepared.lines,
+      prepared.optionalLines,
+      prepared.triangles,
+      prepared.twoSidedTriangles,
+      prepared.texturedTriangles,
+      ...instanced.map(({ instances }) => instances),
+    ]) {
+      descriptor.buffer.destroy();
+      descriptor.indices?.buffer.destroy();
+    }
+
+    prepared.texture?.destroy();
+  }
+
+  /**
+   * @param {PartGeometry} geometry
+   * @param {SubstitutionPolicy | undefined} policy
+   * @param {string} [key] The name instanced geometry is cached as
    *
    * @returns {PreparedGeometry}
    */
-  #prepareGeometry(geometry) {
-    const cachedGeometry = this.#preparedGeometries.get(geometry.fileName);
+  #prepareGeometry(geometry, policy, key) {
+    const cachedGeometry = key
+      ? this.#preparedGeometries.get(key)
+      : this.#preparedModels.get(geometry);
 
     if (cachedGeometry) {
       return cachedGeometry;
     }
 
-    const lines = this.#loadGeometry(geometry.lines, 4);
+    const lines = this.#loadGeometry(
+      geometry.lines,
+      4,
+      geometry.indices?.lines
+    );
+
+    const optionalLines = this.#loadGeometry(
+      geometry.optionalLines,
+      16,
+      geometry.indices?.optionalLines
+    );
+
+    const triangles = this.#loadGeometry(
+      geometry.triangles,
+      7, // x y z, color code, normal
+      geometry.indices?.triangles
+    );
 
-    const optionalLines = this.#loadGeometry(geometry.optionalLines, 16);
+    const twoSidedTriangles = this.#loadGeometry(
+      geometry.twoSidedTriangles,
+      7,
+      geometry.indices?.twoSidedTriangles
+    );
 
-    const triangles = this.#loadGeometry(geometry.triangles, 4);
+    const texturedTriangles = this.#loadGeometry(
+      geometry.texturedTriangles,
+      7 // x y z, color code, u v, texture layer
+    );
 
     const studs = this.#loadGeometry(
       geometry.studs,
-      17 // 16 matrix points, 1 color code
+      18 // 16 matrix points, 1 color code, 1 culling
     );
 
+    // Instanced geometry is rendered without instances of its own,
+    // so it's kept apart from the same file loaded by itself
+    const prefix = policy ? `${FileLoader.substitutionKey(policy)}:` : "";
+
+    const instances = geometry.instances.map((part) => ({
+      geometry: this.#prepareGeometry(
+        part.geometry,
+        policy,
+        `${prefix}instance:${part.geometry.fileName}`
+      ),
+      lowDetail:
+        part.geometry.lowDetail &&
+        this.#prepareGeometry(
+          part.geometry.lowDetail,
+          policy,
+          `${prefix}low-detail:${part.geometry.fileName}`
+        ),
+      instances: this.#loadGeometry(part.instances, 18),
+    }));
+
+    const textures = geometry.textures.length
+      ? this.#loadTextures(geometry.textures)
+      : undefined;
+
     const preparedGeometry = {
       lines,
       optionalLines,
       triangles,
+      twoSidedTriangles,
+      texturedTriangles,
+      texture: textures?.texture,
+      textureBindGroup: textures?.bindGroup,
       studs,
+      instances,
     };
 
-    this.#preparedGeometries.set(geometry.fileName, preparedGeometry);
+    if (key) {
+      this.#preparedGeometries.set(key, preparedGeometry);
+    } else {
+      this.#preparedModels.set(geometry, preparedGeometry);
+    }
 
     return preparedGeometry;
   }
 
+  /**
+   * @param {PartTexture[]} textures
+   */
+  #loadTextures(textures) {
+    // The worker decodes every texture at the same size
+    const first = textures.find((t) => t.image)?.image;
+
+    const width = first?.width ?? 1;
+    const height = first?.height ?? 1;
+
+    const texture = this.device.createTexture({
+      label: "Texmap texture array",
+      format: "rgba8unorm",
+      size: [width, height, textures.length],
+      usage:
+        GPUTextureUsage.COPY_DST |
+        GPUTextureUsage.TEXTURE_BINDING |
+        GPUTextureUsage.RENDER_ATTACHMENT,
+    });
+
+    for (const [layer, { image }] of textures.entries()) {
+      // Missing images stay transparent, leaving the surface color
+      if (!image) {
+        continue;
+      }
+
+      this.device.queue.copyExternalImageToTexture(
+        { source: image },
+        { texture, origin: [0, 0, layer], premultipliedAlpha: false },
+        [width, height]
+      );
+    }
+
+    const bindGroup = this.device.createBindGroup({
+      label: "Texmap bind group",
+      layout: this.#textureBindGroupLayout,
+      entries: [
+        {
+          binding: 0,
+          resource: texture.createView({ dimension: "2d-array" }),
+        },
+        {
+          binding: 1,
+          resource: this.#textureSampler,
+        },
+      ],
+    });
+
+    return { texture, bindGroup };
+  }
+
+  /**
+   * Split the instances that are drawn into the ones big enough on screen
+   * to draw in full, followed by the rest, each in runs that are culled
+   * the same way. The camera is orthographic, so they're only split again
+   * when zooming or changing step.
+   *
+   * @param {{
+   *   data: Float32Array | undefined;
+   *   instances: GeometryRenderDescriptor;
+   *   radius: number;
+   *   minimumSize: number;
+   *   count: number;
+   * }} instanced
+   * @param {number} pixelScale
+   *
+   * @returns {LevelOfDetail}
+   */
+  #levelOfDetail({ data, instances, radius, minimumSize, count }, pixelScale) {
+    if (!data) {
+      return {
+        buffer: instances.buffer,
+        near: [{ culling: "none", first: 0, count }],
+        far: [],
+        count,
+        pixelScale,
+      };
+    }
+
+    const cached = this.#levelsOfDetail.get(data);
+
+    if (
+      cached &&
+      cached.count === count &&
+      Math.abs(Math.log(cached.pixelScale / pixelScale)) < 0.1
+    ) {
+      return cached;
+    }
+
+    /** @type {Map<InstanceCulling, number[]>} */
+    const near = new Map();
+
+    /** @type {Map<InstanceCulling, number[]>} */
+    const far = new Map();
+
+    for (let i = 0; i < count; i++) {
+      const offset = i * 18;
+
+      // The largest scale of the instance's matrix
+      const scale = Math.max(
+        Math.hypot(
+          data[offset] ?? 0,
+          data[offset + 1] ?? 0,
+          data[offset + 2] ?? 0
+        ),
+        Math.hypot(
+          data[offset + 4] ?? 0,
+          data[offset + 5] ?? 0,
+          data[offset + 6] ?? 0
+        ),
+        Math.hypot(
+          data[offset + 8] ?? 0,
+          data[offset + 9] ?? 0,
+          data[offset + 10] ?? 0
+        )
+      );
+
+      const distance =
+        2 * radius * scale * pixelScale >= minimumSize ? near : far;
+      const culling = INSTANCE_CULLING.get(data[offset + 17] ?? 0) ?? "none";
+
+      let run = distance.get(culling);
+
+      if (!run) {
+        run = [];
+        distance.set(culling, run);
+      }
+
+      run.push(i);
+    }
+
+    let buffer = instances.buffer;
+
+    const runs = [...near.values(), ...far.values()];
+
+    if (runs.length > 1) {
+      buffer =
+        cached && cached.buffer !== instances.buffer
+          ? cached.buffer
+          : this.device.createBuffer({
+              label: "Instances by level of detail",
+              size: instances.buffer.size,
+              usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+            });
+
+      const sorted = new Float32Array(count * 18);
+
+      for (const [index, instance] of runs.flat().entries()) {
+        sorted.set(
+          data.subarray(instance * 18, instance * 18 + 18),
+          index * 18
+        );
+      }
+
+      this.device.queue.writeBuffer(buffer, 0, sorted);
+    }
+
+    let first = 0;
+
+    /**
+     * @param {Map<InstanceCulling, number[]>} instancesByCulling
+     *
+     * @returns {InstanceRun[]}
+     */
+    const toRuns = (instancesByCulling) =>
+      [...instancesByCulling].map(([culling, { length }]) => {
+        const run = { culling, first, count: length };
+        first += length;
+
+        return run;
+      });
+
+    /** @type {LevelOfDetail} */
+    const levelOfDetail = {
+      buffer,
+      near: toRuns(near),
+      far: toRuns(far),
+      count,
+      pixelScale,
+    };
+
+    // The sorted buffer isn't needed once the instances are all in one run
+    if (
+      cached &&
+      cached.buffer !== instances.buffer &&
+      cached.buffer !== buffer
+    ) {
+      cached.buffer.destroy();
+    }
+
+    this.#levelsOfDetail.set(data, levelOfDetail);
+
+    return levelOfDetail;
+  }
+
+  /**
+   * Draw geometry once for each of a buffer of instances,
+   * like studs or repeated parts. Only the geometry's lines
+   * and untextured triangles are drawn.
+   *
+   * @param {GPURenderPassEncoder} pass
+   * @param {GPUBuffer} instances
+   * @param {PreparedGeometry} geometry
+   * @param {InstanceRun[]} runs The instances to draw, one run after another
+   * @param {boolean} transparent Whether to draw the transparent triangles,
+   *   instead of the opaque triangles and lines
+   * @param {boolean} [optionalLines]
+   */
+  #renderInstances(
+    pass,
+    instances,
+    geometry,
+    runs,
+    transparent,
+    optionalLines = true
+  ) {
+    const first = runs[0]?.first ?? 0;
+    const count = runs.reduce((total, run) => total + run.count, 0);
+
+    if (!count) {
+      return;
+    }
+
+    const pipelines = transparent
+      ? this.#instanceTransparentTrianglePipelines
+      : this.#instanceOpaqueTrianglePipelines;
+
+    // Certified triangles are culled the way each run's instances allow
+    if (geometry.triangles.count) {
+      for (const run of runs) {
+        pass.setPipeline(pipelines[run.culling]);
+        pass.setVertexBuffer(0, instances);
+        pass.setVertexBuffer(1, geometry.triangles.buffer);
+        GpuRenderer.#drawInstances(
+          pass,
+          geometry.triangles,
+          run.first,
+          run.count
+        );
+      }
+    }
+
+    if (geometry.twoSidedTriangles.count) {
+      pass.setPipeline(pipelines.none);
+      pass.setVertexBuffer(0, instances);
+      pass.setVertexBuffer(1, geometry.twoSidedTriangles.buffer);
+      GpuRenderer.#drawInstances(
+        pass,
+        geometry.twoSidedTriangles,
+        first,
+        count
+      );
+    }
+
+    if (transparent) {
+      return;
+    }
+
+    if (geometry.lines.count) {
+      pass.setPipeline(this.#instanceLinePipeline);
+      pass.setVertexBuffer(0, instances);
+      pass.setVertexBuffer(1, geometry.lines.buffer);
+      GpuRenderer.#drawInstances(pass, geometry.lines, first, count);
+    }
+
+    if (optionalLines && geometry.optionalLines.count) {
+      pass.setPipeline(this.#instanceOptionalLinePipeline);
+      pass.setVertexBuffer(0, instances);
+      pass.setVertexBuffer(1, geometry.optionalLines.buffer);
+      GpuRenderer.#drawInstances(pass, geometry.optionalLines, first, count);
+    }
+  }
+
   /**
    * @param {GPURenderPassEncoder} pass
    * @param {GeometryRenderDescriptor} geometry
    * @param {GPURenderPipeline} pipeline
+   * @param {number} [count] Draw only this many of the geometry's items
    */
-  static #renderGeometryDescriptor(pass, geometry, pipeline) {
-    if (geometry.count === 0) {
+  static #renderGeometryDescriptor(
+    pass,
+    geometry,
+    pipeline,
+    count = geometry.count
+  ) {
+    if (count === 0) {
       return;
     }
 
     pass.setPipeline(pipeline);
     pass.setVertexBuffer(0, geometry.buffer);
-    geometry.vertexCount != null
-      ? pass.draw(geometry.vertexCount, geometry.count)
-      : pass.draw(geometry.count);
+
+    if (geometry.indices) {
+      pass.setIndexBuffer(geometry.indices.buffer, geometry.indices.format);
+      pass.drawIndexed(count);
+    } else if (geometry.vertexCount != null) {
+      pass.draw(geometry.vertexCount, count);
+    } else {
+      pass.draw(count);
+    }
+  }
+
+  /**
+   * @param {GPURenderPassEncoder} pass
+   * @param {GeometryRenderDescriptor} geometry
+   * @param {number} firstInstance
+   * @param {number} instanceCount
+   */
+  static #drawInstances(pass, geometry, firstInstance, instanceCount) {
+    if (geometry.indices) {
+      pass.setIndexBuffer(geometry.indices.buffer, geometry.indices.format);
+      pass.drawIndexed(geometry.count, instanceCount, 0, 0, firstInstance);
+    } else {
+      pass.draw(geometry.count, instanceCount, 0, firstInstance);
+    }
   }
 
   /**
    * @param {Float32Array<ArrayBuffer>} data
    * @param {number} itemSize
+   * @param {Uint16Array<ArrayBuffer> | Uint32Array<ArrayBuffer>} [indices]
+   *
+   * @returns {GeometryRenderDescriptor}
    */
-  #loadGeometry(data, itemSize) {
+  #loadGeometry(data, itemSize, indices) {
     const buffer = this.device.createBuffer({
       size: data.byteLength,
       usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.VERTEX,
@@ -234,13 +884,37 @@ export class GpuRenderer {
 
     this.device.queue.writeBuffer(buffer, 0, data);
 
-    return { buffer, count: data.length / itemSize };
+    if (!indices) {
+      return { buffer, count: data.length / itemSize };
+    }
+
+    // Buffer writes have to be a multiple of 4 bytes
+    const indexData = new Uint8Array(Math.ceil(indices.byteLength / 4) * 4);
+    indexData.set(
+      new Uint8Array(indices.buffer, indices.byteOffset, indices.byteLength)
+    );
+
+    const indexBuffer = this.device.createBuffer({
+      size: indexData.byteLength,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.INDEX,
+    });
+
+    this.device.queue.writeBuffer(indexBuffer, 0, indexData);
+
+    return {
+      buffer,
+      count: indices.length,
+      indices: {
+        buffer: indexBuffer,
+        format: indices instanceof Uint16Array ? "uint16" : "uint32",
+      },
+    };
   }
 
   /**
    * @param {GPUDevice} device
    * @param {GPUTextureFormat} format
-   * @param {readonly { code: number; rgba: number[]; edge: number[] }[]} colors
+   * @param {readonly ColorDefinition[]} colors
    */
   constructor(device, format, colors) {
     this.device = device;
@@ -255,35 +929,57 @@ export class GpuRenderer {
     const textureHeight = Math.ceil((highestCode + 1) / textureWidth);
     const textureData = new Uint8Array(textureWidth * textureHeight * 4);
     const edgeTextureData = new Uint8Array(textureWidth * textureHeight * 4);
+    const finishTextureData = new Uint8Array(textureWidth * textureHeight * 4);
+    const materialTextureData = new Uint8Array(
+      textureWidth * textureHeight * 4
+    );
     for (const color of colors) {
       textureData.set(color.rgba, color.code * 4);
       edgeTextureData.set(color.edge, color.code * 4);
+
+      const { material } = color;
+      const size = material ? (material.minSize + material.maxSize) / 2 : 0;
+      finishTextureData.set(
+        [
+          FINISHES[material?.type ?? color.finish],
+          color.luminance,
+          Math.round((material?.fraction ?? 0) * 255),
+          // Sizes are in LDU, with a resolution of 1/32 LDU
+          Math.round(size * 32),
+        ],
+        color.code * 4
+      );
+      if (material) {
+        materialTextureData.set(material.rgba, color.code * 4);
+      }
     }
 
-    this.#colorTexture = device.createTexture({
-      label: "Color map texture",
-      format: "rgba8unorm",
-      size: { width: textureWidth, height: textureHeight },
-      usage: GPUTextureUsage.COPY_DST | GPUTextureUsage.TEXTURE_BINDING,
-    });
-    device.queue.writeTexture(
-      { texture: this.#colorTexture },
+    this.#colorTexture = this.#createColorMapTexture(
+      "Color map texture",
       textureData,
-      { bytesPerRow: textureWidth * 4 },
-      { width: textureWidth, height: textureHeight }
+      textureWidth,
+      textureHeight
     );
 
-    this.#edgeColorTexture = device.createTexture({
-      label: "Edge color map texture",
-      format: "rgba8unorm",
-      size: { width: textureWidth, height: textureHeight },
-      usage: GPUTextureUsage.COPY_DST | GPUTextureUsage.TEXTURE_BINDING,
-    });
-    device.queue.writeTexture(
-      { texture: this.#edgeColorTexture },
+    this.#edgeColorTexture = this.#createColorMapTexture(
+      "Edge color map texture",
       edgeTextureData,
-      { bytesPerRow: textureWidth * 4 },
-      { width: textureWidth, height: textureHeight }
+      textureWidth,
+      textureHeight
+    );
+
+    this.#finishTexture = this.#createColorMapTexture(
+      "Finish map texture",
+      finishTextureData,
+      textureWidth,
+      textureHeight
+    );
+
+    this.#materialColorTexture = this.#createColorMapTexture(
+      "Material color map texture",
+      materialTextureData,
+      textureWidth,
+      textureHeight
     );
 
     this.#bindGroupLayout = device.createBindGroupLayout({
@@ -312,6 +1008,21 @@ export class GpuRenderer {
           visibility: GPUShaderStage.FRAGMENT,
           texture: { sampleType: "float" },
         },
+        {
+          binding: 4,
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: { sampleType: "float" },
+        },
+        {
+          binding: 5,
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: { sampleType: "float" },
+        },
+        {
+          binding: 6,
+          visibility: GPUShaderStage.FRAGMENT,
+          buffer: { type: "uniform" },
+        },
       ],
     });
 
@@ -320,6 +1031,28 @@ export class GpuRenderer {
       bindGroupLayouts: [this.#bindGroupLayout],
     });
 
+    this.#textureBindGroupLayout = device.createBindGroupLayout({
+      label: "Texmap bind group layout",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: { sampleType: "float", viewDimension: "2d-array" },
+        },
+        {
+          binding: 1,
+          visibility: GPUShaderStage.FRAGMENT,
+          sampler: { type: "filtering" },
+        },
+      ],
+    });
+
+    this.#textureSampler = device.createSampler({
+      label: "Texmap sampler",
+      magFilter: "linear",
+      minFilter: "linear",
+    });
+
     const edgeFragmentShaderModule = device.createShaderModule({
       label: "Edge fragment shader",
       code: EDGE_FRAGMENT_SHADER,
@@ -409,7 +1142,7 @@ export class GpuRenderer {
         entryPoint: "vertexMain",
         buffers: [
           {
-            arrayStride: 4 * 4,
+            arrayStride: 7 * 4,
             attributes: [
               {
                 format: "float32x3",
@@ -421,6 +1154,12 @@ export class GpuRenderer {
                 offset: 3 * 4,
                 shaderLocation: 1,
               },
+              // normal
+              {
+                format: "float32x3",
+                offset: 4 * 4,
+                shaderLocation: 2,
+              },
             ],
           },
         ],
@@ -432,7 +1171,8 @@ export class GpuRenderer {
       },
     };
 
-    this.#opaqueTrianglePipeline = device.createRenderPipeline({
+    /** @satisfies {GPURenderPipelineDescriptor} */
+    const opaqueTrianglePipelineDescriptor = {
       ...trianglePipelineDescriptor,
       label: "Opaque triangle render pipeline",
       fragment: {
@@ -441,11 +1181,11 @@ export class GpuRenderer {
           transparent: 0,
         },
       },
-    });
+    };
 
-    this.#transparentTrianglePipeline = device.createRenderPipeline({
+    /** @satisfies {GPURenderPipelineDescriptor} */
+    const transparentTrianglePipelineDescriptor = {
       ...trianglePipelineDescriptor,
-      primitive: { cullMode: "back" },
       label: "Transparent triangle pipeline",
       depthStencil: {
         ...trianglePipelineDescriptor.depthStencil,
@@ -459,11 +1199,91 @@ export class GpuRenderer {
           transparent: 1,
         },
       },
+    };
+
+    // BFC certified triangles are wound counter-clockwise,
+    // so anything facing away from the camera can be skipped
+    this.#opaqueTrianglePipeline = device.createRenderPipeline({
+      ...opaqueTrianglePipelineDescriptor,
+      primitive: { cullMode: "back" },
+    });
+
+    this.#transparentTrianglePipeline = device.createRenderPipeline({
+      ...transparentTrianglePipelineDescriptor,
+      primitive: { cullMode: "back" },
+    });
+
+    this.#twoSidedOpaqueTrianglePipeline = device.createRenderPipeline({
+      ...opaqueTrianglePipelineDescriptor,
+      label: "Two-sided opaque triangle render pipeline",
+    });
+
+    this.#twoSidedTransparentTrianglePipeline = device.createRenderPipeline({
+      ...transparentTrianglePipelineDescriptor,
+      label: "Two-sided transparent triangle pipeline",
+    });
+
+    const texturedTriangleShaderModule = device.createShaderModule({
+      label: "Textured triangle shader",
+      code: TEXTURED_TRIANGLE_SHADER,
+    });
+
+    const textureFragmentShaderModule = device.createShaderModule({
+      label: "Texture fragment shader",
+      code: TEXTURE_FRAGMENT_SHADER,
+    });
+
+    this.#texturedTrianglePipeline = device.createRenderPipeline({
+      ...trianglePipelineDescriptor,
+      label: "Textured triangle pipeline",
+      layout: device.createPipelineLayout({
+        label: "Texmap pipeline layout",
+        bindGroupLayouts: [this.#bindGroupLayout, this.#textureBindGroupLayout],
+      }),
+      vertex: {
+        module: texturedTriangleShaderModule,
+        entryPoint: "vertexMain",
+        buffers: [
+          {
+            arrayStride: 7 * 4,
+            attributes: [
+              {
+                format: "float32x3",
+                offset: 0,
+                shaderLocation: 0,
+              },
+              // color
+              {
+                format: "float32",
+                offset: 3 * 4,
+                shaderLocation: 1,
+              },
+              // texture coordinates
+              {
+                format: "float32x2",
+                offset: 4 * 4,
+                shaderLocation: 2,
+              },
+              // texture layer
+              {
+                format: "float32",
+                offset: 6 * 4,
+                shaderLocation: 3,
+              },
+            ],
+          },
+        ],
+      },
+      fragment: {
+        module: textureFragmentShaderModule,
+        entryPoint: "fragmentMain",
+        targets: [transparencyTarget],
+      },
     });
 
     /** @satisfies {GPUVertexBufferLayout} */
     const studInstanceBuffers = {
-      arrayStride: 17 * 4,
+      arrayStride: 18 * 4,
       stepMode: "instance",
       attributes: [
         // 4 matrix columns
@@ -528,9 +1348,11 @@ export class GpuRenderer {
       },
     };
 
-    this.#studOpaqueTrianglePipeline = device.createRenderPipeline({
+    // Inverted instances wind their certified triangles the other way,
+    // so each way of culling them has its own pipeline
+    this.#instanceOpaqueTrianglePipelines = cullingPipelines(device, {
       ...studTrianglePipelineDescriptor,
-      label: "Stud opaque triangle pipeline",
+      label: "Instance opaque triangle pipeline",
       fragment: {
         ...studTrianglePipelineDescriptor.fragment,
         constants: {
@@ -539,9 +1361,9 @@ export class GpuRenderer {
       },
     });
 
-    this.#studTransparentTrianglePipeline = device.createRenderPipeline({
+    this.#instanceTransparentTrianglePipelines = cullingPipelines(device, {
       ...studTrianglePipelineDescriptor,
-      label: "Stud transparent triangle pipeline",
+      label: "Instance transparent triangle pipeline",
       depthStencil: {
         ...studTrianglePipelineDescriptor.depthStencil,
 
@@ -561,9 +1383,9 @@ export class GpuRenderer {
       code: STUD_LINE_SHADER,
     });
 
-    this.#studLinePipeline = device.createRenderPipeline({
+    this.#instanceLinePipeline = device.createRenderPipeline({
       ...linePipelineDescriptor,
-      label: "Stud line pipeline",
+      label: "Instance line pipeline",
       vertex: {
         module: studLineShaderModule,
         entryPoint: "vertexMain",
@@ -662,9 +1484,9 @@ export class GpuRenderer {
       optionalLinePipelineDescriptor
     );
 
-    this.#studOptionalLinePipeline = device.createRenderPipeline({
+    this.#instanceOptionalLinePipeline = device.createRenderPipeline({
       ...optionalLinePipelineDescriptor,
-      label: "Stud optional line pipeline",
+      label: "Instance optional line pipeline",
       vertex: {
         module: studOptionalLineShaderModule,
         entryPoint: "vertexMain",
@@ -679,8 +1501,9 @@ export class GpuRenderer {
   /**
    * @param {GPUBuffer} uniformBuffer
    * @param {GPUBuffer} colorBuffer
+   * @param {GPUBuffer} lightingBuffer
    */
-  #createBindGroup(uniformBuffer, colorBuffer) {
+  #createBindGroup(uniformBuffer, colorBuffer, lightingBuffer) {
     return this.device.createBindGroup({
       label: "Rotation uniform group",
       layout: this.#bindGroupLayout,
@@ -701,12 +1524,48 @@ export class GpuRenderer {
           binding: 3,
           resource: this.#edgeColorTexture.createView(),
         },
+        {
+          binding: 4,
+          resource: this.#finishTexture.createView(),
+        },
+        {
+          binding: 5,
+          resource: this.#materialColorTexture.createView(),
+        },
+        {
+          binding: 6,
+          resource: { buffer: lightingBuffer },
+        },
       ],
     });
   }
 
   /**
-   * @param {readonly { code: number; rgba: number[]; edge: number[] }[]} colors
+   * A texture with one texel per color code
+   *
+   * @param {string} label
+   * @param {Uint8Array<ArrayBuffer>} data
+   * @param {number} width
+   * @param {number} height
+   */
+  #createColorMapTexture(label, data, width, height) {
+    const texture = this.device.createTexture({
+      label,
+      format: "rgba8unorm",
+      size: { width, height },
+      usage: GPUTextureUsage.COPY_DST | GPUTextureUsage.TEXTURE_BINDING,
+    });
+    this.device.queue.writeTexture(
+      { texture },
+      data,
+      { bytesPerRow: width * 4 },
+      { width, height }
+    );
+    return texture;
+  }
+
+  /**
+   * @param {readonly ColorDefinition[]} colors
    */
   static async create(colors) {
     const adapter = await navigator.gpu.requestAdapter();
@@ -723,28 +1582,156 @@ export class GpuRenderer {
 }
 
 /**
+ * A pipeline for each way instances' certified triangles are culled
+ *
+ * @param {GPUDevice} device
+ * @param {GPURenderPipelineDescriptor} descriptor
+ *
+ * @returns {Record<InstanceCulling, GPURenderPipeline>}
+ */
+function cullingPipelines(device, descriptor) {
+  return {
+    none: device.createRenderPipeline(descriptor),
+    ccw: device.createRenderPipeline({
+      ...descriptor,
+      label: `${descriptor.label}, culled counter-clockwise`,
+      primitive: { ...descriptor.primitive, cullMode: "back" },
+    }),
+    cw: device.createRenderPipeline({
+      ...descriptor,
+      label: `${descriptor.label}, culled clockwise`,
+      primitive: { ...descriptor.primitive, cullMode: "back", frontFace: "cw" },
+    }),
+  };
+}
+
+/**
+ * The lighting uniform: key and fill light directions and intensities,
+ * then ambient, specular, shininess and whether to light at all
+ *
+ * @param {Lighting} lighting
+ */
+function lightingData({ mode, key, fill, ambient, specular, shininess }) {
+  const data = new ArrayBuffer(12 * 4);
+  const floats = new Float32Array(data);
+
+  floats.set([...key.direction, key.intensity], 0);
+  floats.set([...fill.direction, fill.intensity], 4);
+  floats.set([ambient, specular, shininess], 8);
+  new Uint32Array(data)[11] = mode === "lit" ? 1 : 0;
+
+  return floats;
+}
+
+/**
+ * Directions point towards the lights, in view space:
+ * x right, y up and z towards the viewer. "flat" leaves colors unlit,
+ * like they were before lighting.
+ *
+ * @typedef {{
+ *   mode: "lit" | "flat";
+ *   key: { direction: [number, number, number]; intensity: number };
+ *   fill: { direction: [number, number, number]; intensity: number };
+ *   ambient: number;
+ *   specular: number;
+ *   shininess: number;
+ * }} Lighting
+ */
+
+/**
+ * `count` is the number of indices for indexed geometry.
+ *
  * @typedef {{
  *   count: number;
  *   buffer: GPUBuffer;
  *   vertexCount?: number | undefined;
+ *   indices?: { buffer: GPUBuffer; format: GPUIndexFormat } | undefined;
  * }} GeometryRenderDescriptor
  *
  * @typedef {Record<
  *   | "lines"
  *   | "optionalLines"
  *   | "triangles"
+ *   | "twoSidedTriangles"
+ *   | "texturedTriangles"
  *   | "studs",
- * GeometryRenderDescriptor>} PreparedGeometry
+ * GeometryRenderDescriptor> & {
+ *   texture: GPUTexture | undefined;
+ *   textureBindGroup: GPUBindGroup | undefined;
+ *   instances: {
+ *     geometry: PreparedGeometry;
+ *     lowDetail: PreparedGeometry | undefined;
+ *     instances: GeometryRenderDescriptor;
+ *   }[];
+ * }} PreparedGeometry
+ */
+
+/**
+ * `ccw` instances cull their certified triangles that are wound clockwise
+ * on screen, `cw` instances are inverted and cull the other ones,
+ * and `none` instances are drawn two-sided.
+ *
+ * @typedef {"ccw" | "cw" | "none"} InstanceCulling
+ */
+
+/**
+ * Instances next to each other in a buffer that are culled the same way
+ *
+ * @typedef {{
+ *   culling: InstanceCulling;
+ *   first: number;
+ *   count: number;
+ * }} InstanceRun
+ */
+
+/**
+ * A buffer of instances, with the `near` ones to draw in full first,
+ * and the `far` ones after them, each in runs that are culled the same way.
+ * The buffer is the original one if they're all in one run.
+ *
+ * @typedef {{
+ *   buffer: GPUBuffer;
+ *   near: InstanceRun[];
+ *   far: InstanceRun[];
+ *   count: number;
+ *   pixelScale: number;
+ * }} LevelOfDetail
  */
 
+const DIRECT_COLOR_FUNCTION = `
+  // See parseColorCode in ldraw.js for how direct colors are encoded
+  fn directColor(colorIndex: i32) -> vec4f {
+    let value = -colorIndex;
+    let transparent = value > 0x1000000;
+    let rgb = select(value - 1, value - 0x1000002, transparent);
+
+    return vec4f(
+      f32((rgb >> 16) & 0xff) / 255,
+      f32((rgb >> 8) & 0xff) / 255,
+      f32(rgb & 0xff) / 255,
+      // The same alpha a configured ALPHA 128 color gets
+      select(1.0, 178.0 / 255, transparent)
+    );
+  }
+
+  // Direct colors have no configured edge, so lighten it for dark colors
+  fn directEdgeColor(colorIndex: i32) -> vec4f {
+    let color = directColor(colorIndex);
+    let luminance = dot(color.rgb, vec3f(0.2126, 0.7152, 0.0722));
+    return vec4f(select(vec3f(0.2), vec3f(0.35), luminance < 0.2), color.a);
+  }
+`;
+
 const EDGE_FRAGMENT_SHADER = `
   struct VertexOutput {
     @builtin(position) position: vec4f,
-    @location(0) color: f32,
+    @location(0) @interpolate(flat) color: f32,
   }
 
   @group(0) @binding(3) var edgeTexture: texture_2d<f32>;
 
+  ${DIRECT_COLOR_FUNCTION}
+
   @fragment
   fn fragmentMain(input: VertexOutput) -> @location(0) vec4f {
     let colorIndex = i32(input.color);
@@ -755,6 +1742,8 @@ const EDGE_FRAGMENT_SHADER = `
     // 24 is LDraw's "current line color"
     if (colorIndex == 24 || colorIndex == 16) {
       color = vec4f(0.2, 0.2, 0.2, 1.0);
+    } else if (colorIndex < 0) {
+      color = directEdgeColor(colorIndex);
     } else {
       let x = colorIndex % 256;
       let y = colorIndex / 256;
@@ -773,7 +1762,7 @@ const EDGE_SHADER = `
 
   struct VertexOutput {
     @builtin(position) position: vec4f,
-    @location(0) color: f32,
+    @location(0) @interpolate(flat) color: f32,
   }
 
   @group(0) @binding(0) var<uniform> rotationMatrix: mat4x4f;
@@ -794,7 +1783,7 @@ const OPTIONAL_LINE_FUNCTION = `
   struct VertexOutput {
     @builtin(position) position: vec4f,
     @location(0) @interpolate(flat) shouldDiscard: f32,
-    @location(1) color: f32,
+    @location(1) @interpolate(flat) color: f32,
   }
 
   fn shouldShowLine(
@@ -867,6 +1856,158 @@ const OPTIONAL_LINE_SHADER = `
 
   ${OPTIONAL_LINE_FUNCTION}`;
 
+const MODEL_DIRECTION_FUNCTION = `
+  @group(0) @binding(0) var<uniform> rotationMatrix: mat4x4f;
+
+  // The model space direction that the rotation matrix maps onto the given
+  // clip space axis, the columns of the inverse being the cofactors
+  fn modelDirection(axis: u32) -> vec3f {
+    let c0 = rotationMatrix[0].xyz;
+    let c1 = rotationMatrix[1].xyz;
+    let c2 = rotationMatrix[2].xyz;
+    let determinant = dot(c0, cross(c1, c2));
+
+    return normalize(
+      vec3f(cross(c1, c2)[axis], cross(c2, c0)[axis], cross(c0, c1)[axis]) *
+        determinant
+    );
+  }
+`;
+
+// Needs MODEL_DIRECTION_FUNCTION
+const LIGHTING_FUNCTION = `
+  struct Lighting {
+    // Directions towards the lights in view space, and their intensity
+    key: vec4f,
+    fill: vec4f,
+    ambient: f32,
+    specular: f32,
+    shininess: f32,
+    lit: u32,
+  }
+
+  @group(0) @binding(6) var<uniform> lighting: Lighting;
+
+  fn viewToModel(direction: vec3f) -> vec3f {
+    return normalize(
+      direction.x * modelDirection(0u) +
+        direction.y * modelDirection(1u) +
+        direction.z * modelDirection(2u)
+    );
+  }
+
+  // The normal has to face the viewer
+  fn applyLighting(color: vec4f, normal: vec3f) -> vec4f {
+    if (lighting.lit == 0u) {
+      return color;
+    }
+
+    let toViewer = modelDirection(2u);
+    let key = viewToModel(lighting.key.xyz);
+    let fill = viewToModel(lighting.fill.xyz);
+
+    let diffuse = lighting.ambient +
+      lighting.key.w * max(dot(normal, key), 0) +
+      lighting.fill.w * max(dot(normal, fill), 0);
+
+    let halfway = normalize(key + toViewer);
+    let specular = lighting.key.w * lighting.specular *
+      pow(max(dot(normal, halfway), 0), lighting.shininess);
+
+    return vec4f(min(color.rgb * diffuse + specular, vec3f(1)), color.a);
+  }
+`;
+
+const FINISH_FUNCTION = `
+  ${MODEL_DIRECTION_FUNCTION}
+
+  @group(0) @binding(4) var finishTexture: texture_2d<f32>;
+
+  @group(0) @binding(5) var materialColorTexture: texture_2d<f32>;
+
+  const CHROME = 1u;
+  const PEARLESCENT = 2u;
+  const RUBBER = 3u;
+  const MATTE_METALLIC = 4u;
+  const METAL = 5u;
+  const GLITTER = 6u;
+  const SPECKLE = 7u;
+
+  fn hash(cell: vec3f) -> f32 {
+    return fract(sin(dot(cell, vec3f(12.9898, 78.233, 37.719))) * 43758.5453);
+  }
+
+  fn applyFinish(
+    color: vec4f,
+    colorIndex: i32,
+    modelPosition: vec3f,
+    surfaceNormal: vec3f
+  ) -> vec4f {
+    // Direct colors are always solid
+    if (colorIndex < 0) {
+      return color;
+    }
+
+    let x = colorIndex % 256;
+    let y = colorIndex / 256;
+    let parameters = textureLoad(finishTexture, vec2i(x, y), 0);
+    let finish = u32(round(parameters.r * 255));
+    let luminance = parameters.g;
+
+    // Depth increases towards the viewer
+    let toViewer = modelDirection(2u);
+    let up = modelDirection(1u);
+
+    var normal = normalize(surfaceNormal);
+    normal = select(normal, -normal, dot(normal, toViewer) < 0);
+    let facing = clamp(dot(normal, toViewer), 0, 1);
+    let fresnel = pow(1 - facing, 3.0);
+
+    // A studio-like environment: bright above the horizon, dark below
+    let reflected = reflect(-toViewer, normal);
+    let horizon = dot(reflected, up);
+    let environment = smoothstep(-0.3, 0.6, horizon);
+    let highlight = pow(max(horizon, 0), 24.0);
+
+    var rgb = color.rgb;
+    switch finish {
+      case CHROME: {
+        rgb = color.rgb * (0.2 + 1.1 * environment) + vec3f(0.8 * highlight);
+      }
+      case METAL: {
+        rgb = color.rgb * (0.45 + 0.75 * environment) +
+          vec3f(0.3 * highlight);
+      }
+      case MATTE_METALLIC: {
+        rgb = color.rgb * (0.75 + 0.35 * environment);
+      }
+      case PEARLESCENT: {
+        // A soft sheen that lightens the color at grazing angles
+        let sheen = mix(0.1, 0.7, fresnel);
+        rgb = mix(color.rgb, mix(color.rgb, vec3f(1), 0.5), sheen);
+      }
+      case RUBBER: {
+        rgb = color.rgb * (0.85 + 0.15 * facing);
+      }
+      case GLITTER, SPECKLE: {
+        let size = max(parameters.a * 255 / 32, 0.1);
+        let cell = floor(modelPosition / size);
+        if (hash(cell) < parameters.b) {
+          let fleck = textureLoad(materialColorTexture, vec2i(x, y), 0).rgb;
+          // Glitter catches the light, speckles don't
+          rgb = select(fleck, fleck * (0.6 + 0.8 * facing), finish == GLITTER);
+        }
+      }
+      default: {}
+    }
+
+    // Luminous colors glow regardless of how they are lit
+    rgb += color.rgb * min(luminance * 16, 1) * 0.4;
+
+    return vec4f(min(rgb, vec3f(1)), color.a);
+  }
+`;
+
 const COLOR_FRAGMENT_SHADER = `
   override transparent: bool = false;
 
@@ -876,11 +2017,25 @@ const COLOR_FRAGMENT_SHADER = `
 
   struct VertexOutput {
     @builtin(position) position: vec4f,
-    @location(0) color: f32,
+    @location(0) @interpolate(flat) color: f32,
+    @location(1) modelPosition: vec3f,
+    @location(2) normal: vec3f,
   }
 
+  ${FINISH_FUNCTION}
+
+  ${LIGHTING_FUNCTION}
+
+  ${DIRECT_COLOR_FUNCTION}
+
   @fragment
   fn fragmentMain(input: VertexOutput) -> @location(0) vec4f {
+    // Derivatives have to be taken before any branching
+    let surfaceNormal = cross(
+      dpdx(input.modelPosition),
+      dpdy(input.modelPosition)
+    );
+
     let colorIndex = i32(input.color);
 
     var color: vec4f;
@@ -888,6 +2043,8 @@ const COLOR_FRAGMENT_SHADER = `
     // 16 is LDraw's "current color"
     if (colorIndex == 16) {
       color = defaultColor / 255;
+    } else if (colorIndex < 0) {
+      color = directColor(colorIndex);
     } else {
       let x = colorIndex % 256;
       let y = colorIndex / 256;
@@ -903,7 +2060,107 @@ const COLOR_FRAGMENT_SHADER = `
       discard;
     }
 
-    return color;
+    // Degenerate triangles have no vertex normal
+    let hasNormal = dot(input.normal, input.normal) > 0;
+    var normal = normalize(select(surfaceNormal, input.normal, hasNormal));
+    normal = select(normal, -normal, dot(normal, modelDirection(2u)) < 0);
+
+    return applyFinish(
+      applyLighting(color, normal),
+      colorIndex,
+      input.modelPosition,
+      normal
+    );
+  }
+`;
+
+const TEXTURED_TRIANGLE_SHADER = `
+  struct VertexInput {
+    @location(0) position: vec4f,
+    @location(1) color: f32,
+    @location(2) uv: vec2f,
+    @location(3) layer: f32,
+  }
+
+  struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) @interpolate(flat) color: f32,
+    @location(1) uv: vec2f,
+    @location(2) @interpolate(flat) layer: u32,
+    @location(3) modelPosition: vec3f,
+  }
+
+  @group(0) @binding(0) var<uniform> rotationMatrix: mat4x4f;
+
+  @vertex
+  fn vertexMain(input: VertexInput) -> VertexOutput {
+    var output: VertexOutput;
+
+    output.position = rotationMatrix * input.position;
+    output.color = input.color;
+    output.uv = input.uv;
+    output.layer = u32(input.layer);
+    output.modelPosition = input.position.xyz;
+    return output;
+  }
+  `;
+
+const TEXTURE_FRAGMENT_SHADER = `
+  @group(0) @binding(1) var<uniform> defaultColor: vec4f;
+
+  @group(0) @binding(2) var colorTexture: texture_2d<f32>;
+
+  @group(1) @binding(0) var textures: texture_2d_array<f32>;
+
+  @group(1) @binding(1) var textureSampler: sampler;
+
+  struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) @interpolate(flat) color: f32,
+    @location(1) uv: vec2f,
+    @location(2) @interpolate(flat) layer: u32,
+    @location(3) modelPosition: vec3f,
+  }
+
+  ${MODEL_DIRECTION_FUNCTION}
+
+  ${LIGHTING_FUNCTION}
+
+  ${DIRECT_COLOR_FUNCTION}
+
+  @fragment
+  fn fragmentMain(input: VertexOutput) -> @location(0) vec4f {
+    // Textured triangles are lit flat
+    var normal = normalize(
+      cross(dpdx(input.modelPosition), dpdy(input.modelPosition))
+    );
+    normal = select(normal, -normal, dot(normal, modelDirection(2u)) < 0);
+
+    let colorIndex = i32(input.color);
+
+    var color: vec4f;
+
+    // 16 is LDraw's "current color"
+    if (colorIndex == 16) {
+      color = defaultColor / 255;
+    } else if (colorIndex < 0) {
+      color = directColor(colorIndex);
+    } else {
+      let x = colorIndex % 256;
+      let y = colorIndex / 256;
+      color = textureLoad(colorTexture, vec2i(x, y), 0);
+    }
+
+    let texel = textureSample(textures, textureSampler, input.uv, input.layer);
+
+    // Textures don't repeat, so the surface color shows around them
+    let inside = all(input.uv >= vec2f(0.0)) && all(input.uv <= vec2f(1.0));
+    let coverage = select(0.0, texel.a, inside);
+
+    return applyLighting(
+      vec4f(mix(color.rgb, texel.rgb, coverage), color.a),
+      normal
+    );
   }
 `;
 
@@ -911,11 +2168,14 @@ const TRIANGLE_SHADER = `
   struct VertexInput {
     @location(0) position: vec4f,
     @location(1) color: f32,
+    @location(2) normal: vec3f,
   }
 
   struct VertexOutput {
     @builtin(position) position: vec4f,
-    @location(0) color: f32,
+    @location(0) @interpolate(flat) color: f32,
+    @location(1) modelPosition: vec3f,
+    @location(2) normal: vec3f,
   }
 
   @group(0) @binding(0) var<uniform> rotationMatrix: mat4x4f;
@@ -926,6 +2186,8 @@ const TRIANGLE_SHADER = `
 
     output.position = rotationMatrix * input.position;
     output.color = input.color;
+    output.modelPosition = input.position.xyz;
+    output.normal = input.normal;
     return output;
   }
   `;
@@ -941,7 +2203,7 @@ const STUD_LINE_SHADER = `
 
   struct VertexOutput {
     @builtin(position) position: vec4f,
-    @location(0) color: f32,
+    @location(0) @interpolate(flat) color: f32,
   }
 
   @group(0) @binding(0) var<uniform> rotationMatrix: mat4x4f;
@@ -1020,11 +2282,13 @@ const OPTIONAL_LINE_FRAGMENT_SHADER = `
   struct VertexOutput {
     @builtin(position) position: vec4f,
     @location(0) @interpolate(flat) shouldDiscard: f32,
-    @location(1) color: f32,
+    @location(1) @interpolate(flat) color: f32,
   }
 
   @group(0) @binding(3) var edgeTexture: texture_2d<f32>;
 
+  ${DIRECT_COLOR_FUNCTION}
+
   @fragment
   fn fragmentMain(input: VertexOutput) -> @location(0) vec4f {
     // Discard fragments where the line shouldn't be drawn
@@ -1040,6 +2304,8 @@ const OPTIONAL_LINE_FRAGMENT_SHADER = `
     // 24 is LDraw's "current line color"
     if (colorIndex == 24 || colorIndex == 16) {
       color = vec4f(0.2, 0.2, 0.2, 1.0);
+    } else if (colorIndex < 0) {
+      color = directEdgeColor(colorIndex);
     } else {
       let x = colorIndex % 256;
       let y = colorIndex / 256;
@@ -1061,7 +2327,9 @@ const STUD_TRIANGLE_SHADER = `
 
   struct VertexOutput {
     @builtin(position) position: vec4f,
-    @location(0) color: f32,
+    @location(0) @interpolate(flat) color: f32,
+    @location(1) modelPosition: vec3f,
+    @location(2) normal: vec3f,
   }
 
   @group(0) @binding(0) var<uniform> rotationMatrix: mat4x4f;
@@ -1070,6 +2338,7 @@ const STUD_TRIANGLE_SHADER = `
   fn vertexMain(
     @location(5) position: vec4f,
     @location(6) color: f32,
+    @location(7) normal: vec3f,
     instance: InstanceInput
   ) -> VertexOutput {
     let instanceMatrix = mat4x4f(
@@ -1079,9 +2348,14 @@ const STUD_TRIANGLE_SHADER = `
       instance.column4
     );
 
+    let modelPosition = instanceMatrix * position;
+
     var output: VertexOutput;
-    output.position = rotationMatrix * instanceMatrix * position;
+    output.position = rotationMatrix * modelPosition;
     output.color = select(color, instance.color, color == 16.0);
+    output.modelPosition = modelPosition.xyz;
+    // Good enough for the rotations and mirrors that instances use
+    output.normal = (instanceMatrix * vec4f(normal, 0)).xyz;
     return output;
   }
   `;
@@ -0,0 +1,260 @@
+/**
+ * @typedef {{
+ *   getArchive(url: string): Promise<Blob | undefined>;
+ *   setArchive(url: string, archive: Blob): Promise<void>;
+ * }} ArchiveCache
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR = 0x07064b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const ZIP64_EXTRA_FIELD = 0x0001;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * A zip of files, like the LDraw library's complete.zip. Only its central
+ * directory is read up front, and files are inflated as they're read.
+ */
+export class ZipArchive {
+  #blob;
+
+  #entries;
+
+  /**
+   * @param {Blob} blob
+   * @param {Map<string, ZipEntry>} entries By lowercase path
+   */
+  constructor(blob, entries) {
+    this.#blob = blob;
+    this.#entries = entries;
+  }
+
+  /**
+   * Download an archive, unless it's in the cache,
+   * and keep it there for next time.
+   *
+   * @param {string} url
+   * @param {ArchiveCache} [cache]
+   */
+  static async open(url, cache) {
+    let blob = await cache?.getArchive(url);
+
+    if (!blob) {
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        throw new Error(`Could not load ${url}: ${response.status}`);
+      }
+
+      blob = await response.blob();
+
+      // Without the cache it's only downloaded again next time
+      await cache?.setArchive(url, blob).catch(console.warn);
+    }
+
+    return ZipArchive.from(blob);
+  }
+
+  /**
+   * @param {Blob} blob
+   */
+  static async from(blob) {
+    return new ZipArchive(blob, await readCentralDirectory(blob));
+  }
+
+  /**
+   * The paths of the files in the archive
+   */
+  get paths() {
+    return [...this.#entries.values()].map((entry) => entry.path);
+  }
+
+  /**
+   * @param {string} path Matched ignoring case
+   *
+   * @returns {Promise<Blob | undefined>} undefined if the archive
+   *   doesn't have the file
+   */
+  async read(path) {
+    const entry = this.#entries.get(path.toLowerCase());
+
+    if (!entry) {
+      return undefined;
+    }
+
+    const header = await view(this.#blob, entry.offset, 30);
+
+    if (header.getUint32(0, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Malformed zip entry for ${entry.path}`);
+    }
+
+    // The local header's name and extra field can differ from the central
+    // directory's, so the data starts after its own
+    const start =
+      entry.offset +
+      30 +
+      header.getUint16(26, true) +
+      header.getUint16(28, true);
+    const data = this.#blob.slice(start, start + entry.compressedSize);
+
+    switch (entry.method) {
+      case STORED:
+        return data;
+      case DEFLATED:
+        return new Response(
+          data.stream().pipeThrough(new DecompressionStream("deflate-raw"))
+        ).blob();
+      default:
+        throw new Error(
+          `Unsupported compression method ${entry.method} for ${entry.path}`
+        );
+    }
+  }
+}
+
+/**
+ * @param {Blob} blob
+ *
+ * @returns {Promise<Map<string, ZipEntry>>}
+ */
+async function readCentralDirectory(blob) {
+  // The end of central directory record is followed by a comment
+  // of up to 64 KiB
+  const tailStart = Math.max(0, blob.size - 22 - 0xffff);
+  const tail = await view(blob, tailStart, blob.size - tailStart);
+
+  let end = tail.byteLength - 22;
+
+  while (end >= 0 && tail.getUint32(end, true) !== END_OF_CENTRAL_DIRECTORY) {
+    end--;
+  }
+
+  if (end < 0) {
+    throw new Error("Not a zip archive");
+  }
+
+  let count = tail.getUint16(end + 10, true);
+  let size = tail.getUint32(end + 12, true);
+  let offset = tail.getUint32(end + 16, true);
+
+  // Archives with too many or too large files keep their directory
+  // in a zip64 record
+  const locator = end - 20;
+
+  if (
+    locator >= 0 &&
+    tail.getUint32(locator, true) === ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR
+  ) {
+    const zip64 = await view(
+      blob,
+      Number(tail.getBigUint64(locator + 8, true)),
+      56
+    );
+
+    if (zip64.getUint32(0, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+      throw new Error("Malformed zip64 end of central directory");
+    }
+
+    count = Number(zip64.getBigUint64(32, true));
+    size = Number(zip64.getBigUint64(40, true));
+    offset = Number(zip64.getBigUint64(48, true));
+  }
+
+  const directory = await view(blob, offset, size);
+  const decoder = new TextDecoder();
+
+  /** @type {Map<string, ZipEntry>} */
+  const entries = new Map();
+
+  for (let position = 0, index = 0; index < count; index++) {
+    if (directory.getUint32(position, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error("Malformed zip central directory");
+    }
+
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+
+    const path = decoder.decode(
+      new Uint8Array(
+        directory.buffer,
+        directory.byteOffset + position + 46,
+        nameLength
+      )
+    );
+
+    let size = directory.getUint32(position + 24, true);
+    let compressedSize = directory.getUint32(position + 20, true);
+    let localOffset = directory.getUint32(position + 42, true);
+
+    // Fields too large for the header are in the zip64 extra field,
+    // in this order, and only if they're too large
+    for (
+      let extra = position + 46 + nameLength;
+      extra < position + 46 + nameLength + extraLength;
+      extra += 4 + directory.getUint16(extra + 2, true)
+    ) {
+      if (directory.getUint16(extra, true) !== ZIP64_EXTRA_FIELD) {
+        continue;
+      }
+
+      let field = extra + 4;
+
+      /** @type {(value: number) => number} */
+      const read = (value) => {
+        if (value !== 0xffffffff) {
+          return value;
+        }
+
+        const wide = Number(directory.getBigUint64(field, true));
+        field += 8;
+
+        return wide;
+      };
+
+      size = read(size);
+      compressedSize = read(compressedSize);
+      localOffset = read(localOffset);
+    }
+
+    if (!path.endsWith("/")) {
+      entries.set(path.toLowerCase(), {
+        path,
+        method: directory.getUint16(position + 10, true),
+        size,
+        compressedSize,
+        offset: localOffset,
+      });
+    }
+
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * @param {Blob} blob
+ * @param {number} start
+ * @param {number} length
+ */
+async function view(blob, start, length) {
+  return new DataView(await blob.slice(start, start + length).arrayBuffer());
+}
+
+/**
+ * Where a file is in an archive, from its central directory
+ *
+ * @typedef {{
+ *   path: string;
+ *   method: number;
+ *   size: number;
+ *   compressedSize: number;
+ *   offset: number;
+ * }} ZipEntry
+ */
@@ -0,0 +1,72 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { ZipArchive } from "./zip-archive.js";
+import { zip } from "./zip-fixture.js";
+
+describe("ZipArchive", function () {
+  const files = zip([
+    ["ldraw/", "", 0],
+    ["ldraw/parts/3001.dat", "0 Brick  2 x  4", 8],
+    ["ldraw/p/Stud.dat", "0 Stud", 0],
+  ]);
+
+  it("should read stored and deflated files", async function () {
+    const archive = await ZipArchive.from(files);
+
+    assert.equal(
+      await (await archive.read("ldraw/parts/3001.dat"))?.text(),
+      "0 Brick  2 x  4"
+    );
+    assert.equal(
+      await (await archive.read("ldraw/p/Stud.dat"))?.text(),
+      "0 Stud"
+    );
+  });
+
+  it("should find files ignoring case", async function () {
+    const archive = await ZipArchive.from(files);
+
+    assert.equal(
+      await (await archive.read("LDraw/p/stud.dat"))?.text(),
+      "0 Stud"
+    );
+    assert.equal(await archive.read("ldraw/parts/3002.dat"), undefined);
+    assert.equal(await archive.read("ldraw/"), undefined);
+  });
+
+  it("should read zip64 central directories", async function () {
+    const archive = await ZipArchive.from(
+      zip([["ldraw/p/stud.dat", "0 Stud", 8]], { zip64: true })
+    );
+
+    assert.equal(
+      await (await archive.read("ldraw/p/stud.dat"))?.text(),
+      "0 Stud"
+    );
+  });
+
+  it("should reject files that aren't zips", async function () {
+    await assert.rejects(ZipArchive.from(new Blob(["0 Brick  2 x  4"])), {
+      message: "Not a zip archive",
+    });
+  });
+
+  it("should open archives from the cache", async function () {
+    const cache = {
+      getArchive: mock.fn(async () => files),
+      setArchive: mock.fn(async () => {}),
+    };
+
+    const archive = await ZipArchive.open("complete.zip", cache);
+
+    assert.equal(
+      await (await archive.read("ldraw/p/stud.dat"))?.text(),
+      "0 Stud"
+    );
+    assert.deepEqual(
+      cache.getArchive.mock.calls.map((call) => call.arguments),
+      [["complete.zip"]]
+    );
+    assert.equal(cache.setArchive.mock.calls.length, 0);
+  });
+});
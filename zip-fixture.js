@@ -0,0 +1,79 @@
+import { deflateRawSync } from "node:zlib";
+
+/**
+ * A zip of files for tests, stored if their method is 0 and deflated
+ * if it's 8, with a zip64 end of central directory if asked for
+ *
+ * @param {[path: string, contents: string, method: number][]} files
+ * @param {{ zip64?: boolean }} [options]
+ */
+export function zip(files, { zip64 = false } = {}) {
+  /** @type {Buffer[]} */
+  const local = [];
+
+  /** @type {Buffer[]} */
+  const central = [];
+
+  let offset = 0;
+
+  for (const [path, contents, method] of files) {
+    const name = Buffer.from(path);
+    const uncompressed = Buffer.from(contents);
+    const data = method === 8 ? deflateRawSync(uncompressed) : uncompressed;
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(uncompressed.length, 22);
+    header.writeUInt16LE(name.length, 26);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(method, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(uncompressed.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+
+    local.push(header, name, data);
+    central.push(entry, name);
+    offset += header.length + name.length + data.length;
+  }
+
+  const directory = Buffer.concat(central);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+
+  if (!zip64) {
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return new Blob([
+      new Uint8Array(Buffer.concat([...local, directory, end])),
+    ]);
+  }
+
+  end.writeUInt16LE(0xffff, 8);
+  end.writeUInt16LE(0xffff, 10);
+  end.writeUInt32LE(0xffffffff, 12);
+  end.writeUInt32LE(0xffffffff, 16);
+
+  const end64 = Buffer.alloc(56);
+  end64.writeUInt32LE(0x06064b50, 0);
+  end64.writeBigUInt64LE(BigInt(files.length), 24);
+  end64.writeBigUInt64LE(BigInt(files.length), 32);
+  end64.writeBigUInt64LE(BigInt(directory.length), 40);
+  end64.writeBigUInt64LE(BigInt(offset), 48);
+
+  const locator = Buffer.alloc(20);
+  locator.writeUInt32LE(0x07064b50, 0);
+  locator.writeBigUInt64LE(BigInt(offset + directory.length), 8);
+
+  return new Blob([
+    new Uint8Array(Buffer.concat([...local, directory, end64, locator, end])),
+  ]);
+}